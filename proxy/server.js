@@ -0,0 +1,204 @@
+// local cors proxy for the chat app (implements the config.LOCAL_PROXY envelope).
+// Usage:
+//   export GEMINI_KEY='AIzaSy...'   # optional, injected server-side
+//   export CLAUDE_KEY='sk-...'      # optional, injected server-side
+//   export OPENAI_HOSTS='gpu-box,localhost'  # openai-compatible hosts (default localhost)
+//   export OPENAI_KEY='...'         # optional bearer token for those hosts
+//   export PROXY_ORIGIN='http://localhost:3000'  # app origin(s) allowed to use it, comma-separated
+//   npm run proxy                   # listens on http://localhost:8787
+//
+// The browser POSTs { provider, method, url, headers, body } and the proxy
+// forwards it to url (only to hosts allowed for that provider, method
+// defaulting to POST), streaming the upstream response back unchanged.
+
+const http = require('node:http');
+const { Readable } = require('node:stream');
+
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+// the proxy spends server-side keys, so only the app's own page may call it;
+// '*' opens it to every site and has to be asked for explicitly
+const ORIGINS = (process.env.PROXY_ORIGIN || 'http://localhost:3000').split(',').map(o => o.trim()).filter(Boolean);
+const MAX_BODY = 1024 * 1024;
+
+// upstream allowlist and server-side key injection per provider
+const PROVIDERS = {
+	gemini: {
+		hosts: ['generativelanguage.googleapis.com'],
+		key: process.env.GEMINI_KEY || process.env.GENERATIVE_API_KEY || '',
+		inject(url, headers, key) {
+			url.searchParams.set('key', key);
+		}
+	},
+	claude: {
+		hosts: ['api.anthropic.com'],
+		key: process.env.CLAUDE_KEY || process.env.CLAUDE_API_KEY || '',
+		inject(url, headers, key) {
+			headers['x-api-key'] = key;
+		}
+	},
+	// self-hosted openai-compatible servers are usually plain http on a lan
+	openai: {
+		hosts: (process.env.OPENAI_HOSTS || 'localhost,127.0.0.1').split(',').map(h => h.trim()).filter(Boolean),
+		http: true,
+		key: process.env.OPENAI_KEY || '',
+		inject(url, headers, key) {
+			headers.authorization = `Bearer ${key}`;
+		}
+	}
+};
+
+const METHODS = new Set(['GET', 'POST']);
+
+// request headers we never forward upstream
+const DROP_HEADERS = new Set(['host', 'connection', 'content-length', 'origin', 'referer', 'cookie']);
+
+// hide keys that arrive in query strings when logging
+const redact = url => {
+	const u = new URL(url.href);
+	if (u.searchParams.has('key')) u.searchParams.set('key', '***');
+	return `${u.host}${u.pathname}${u.search}`;
+};
+
+function log(provider, url, status, started) {
+	console.log(`${new Date().toISOString()} ${provider || '-'} ${url ? redact(url) : '-'} -> ${status} ${Date.now() - started}ms`);
+}
+
+// browsers always send Origin on cross-site requests; local tools (curl) send none
+function originAllowed(origin) {
+	return !origin || ORIGINS.includes('*') || ORIGINS.includes(origin);
+}
+
+function cors(req, res) {
+	res.setHeader('vary', 'origin');
+	if (ORIGINS.includes('*')) res.setHeader('access-control-allow-origin', '*');
+	else if (req.headers.origin) res.setHeader('access-control-allow-origin', req.headers.origin);
+	res.setHeader('access-control-allow-methods', 'POST, OPTIONS');
+	res.setHeader('access-control-allow-headers', 'content-type');
+	res.setHeader('access-control-expose-headers', 'retry-after');
+}
+
+function fail(res, status, message) {
+	res.writeHead(status, { 'content-type': 'application/json' });
+	res.end(JSON.stringify({ error: message }));
+}
+
+// read the request body as json, capped at MAX_BODY bytes
+function readJson(req) {
+	return new Promise((resolve, reject) => {
+		let size = 0;
+		const chunks = [];
+		req.on('data', c => {
+			size += c.length;
+			if (size > MAX_BODY) {
+				reject(new Error('body too large'));
+				req.destroy();
+				return;
+			}
+			chunks.push(c);
+		});
+		req.on('end', () => {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+			} catch {
+				reject(new Error('invalid json'));
+			}
+		});
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Check an envelope against the allowlist and build the upstream request.
+ *
+ * @param {Object} env - Envelope { provider, method, url, headers, body }
+ * @returns {{ method: string, url: URL, headers: Object, body: string|undefined }} Upstream request
+ * @throws {Error} With a `status` property when the envelope is rejected
+ */
+function upstreamFor(env) {
+	const reject = (status, message) => Object.assign(new Error(message), { status });
+	const cfg = PROVIDERS[env?.provider];
+	if (!cfg) throw reject(400, `unknown provider: ${env?.provider}`);
+
+	let url;
+	try {
+		url = new URL(env.url);
+	} catch {
+		throw reject(400, 'invalid url');
+	}
+	const schemeOk = url.protocol === 'https:' || (cfg.http && url.protocol === 'http:');
+	if (!schemeOk || !cfg.hosts.includes(url.hostname)) {
+		throw reject(403, `host not allowed for ${env.provider}: ${url.host}`);
+	}
+
+	const headers = {};
+	Object.entries(env.headers || {}).forEach(([k, v]) => {
+		if (!DROP_HEADERS.has(k.toLowerCase())) headers[k.toLowerCase()] = String(v);
+	});
+	if (cfg.key) cfg.inject(url, headers, cfg.key);
+
+	const method = String(env.method || 'POST').toUpperCase();
+	if (!METHODS.has(method)) throw reject(400, `method not allowed: ${method}`);
+
+	return { method, url, headers, body: method === 'GET' ? undefined : JSON.stringify(env.body ?? {}) };
+}
+
+const server = http.createServer(async (req, res) => {
+	const started = Date.now();
+	if (!originAllowed(req.headers.origin)) {
+		fail(res, 403, `origin not allowed: ${req.headers.origin} (set PROXY_ORIGIN to allow it)`);
+		log(null, null, 403, started);
+		return;
+	}
+	cors(req, res);
+
+	if (req.method === 'OPTIONS') {
+		res.writeHead(204);
+		res.end();
+		return;
+	}
+	if (req.method !== 'POST') {
+		fail(res, 405, 'use POST with a { provider, method, url, headers, body } envelope');
+		log(null, null, 405, started);
+		return;
+	}
+
+	let env;
+	let up;
+	try {
+		env = await readJson(req);
+		up = upstreamFor(env);
+	} catch (err) {
+		fail(res, err.status || 400, err.message);
+		log(env?.provider, null, err.status || 400, started);
+		return;
+	}
+
+	try {
+		const upstream = await fetch(up.url, { method: up.method, headers: up.headers, body: up.body });
+		// relay status, content type and retry hints; sse bodies are piped through as they arrive
+		const relay = {
+			'content-type': upstream.headers.get('content-type') || 'application/json',
+			'cache-control': 'no-cache'
+		};
+		if (upstream.headers.has('retry-after')) relay['retry-after'] = upstream.headers.get('retry-after');
+		res.writeHead(upstream.status, relay);
+		if (upstream.body) {
+			const body = Readable.fromWeb(upstream.body);
+			req.on('close', () => body.destroy());
+			body.pipe(res);
+			body.on('end', () => log(env.provider, up.url, upstream.status, started));
+			body.on('error', () => res.end());
+		} else {
+			res.end();
+			log(env.provider, up.url, upstream.status, started);
+		}
+	} catch (err) {
+		fail(res, 502, `upstream request failed: ${err?.message || String(err)}`);
+		log(env.provider, up.url, 502, started);
+	}
+});
+
+server.listen(PORT, () => {
+	const keyed = Object.keys(PROVIDERS).filter(p => PROVIDERS[p].key);
+	console.log(`proxy listening on http://localhost:${PORT} for ${ORIGINS.join(', ')} (server keys: ${keyed.join(', ') || 'none'})`);
+});
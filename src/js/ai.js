@@ -6,9 +6,434 @@
 
 import { getBotResponse } from './eliza.js';
 import { config } from './config.js';
+import { maxTemperature } from './generation.js';
+import { AiError, AuthError, RateLimitError, QuotaError, NetworkError, SafetyError, BadResponseError, TimeoutError, errorFromResponse } from './errors.js';
 
 /**
- * Local Eliza chatbot service (rule-based, no API calls).
+ * Turn prior chat messages into provider-neutral turns, keeping the newest
+ * ones that fit within a character budget (oldest turns are dropped first).
+ * 
+ * @param {Array<Object>} [history=[]] - Prior messages ({ role: 'user'|'bot', text })
+ * @param {number} [budget=config.HISTORY_BUDGET] - Max characters of history to keep
+ * @returns {Array<{role: string, text: string}>} Turns in chronological order
+ */
+export function trimHistory(history = [], budget = config.HISTORY_BUDGET) {
+	const turns = [];
+	let used = 0;
+	for (let i = history.length - 1; i >= 0; i--) {
+		const m = history[i];
+		if (!m || typeof m.text !== 'string' || (m.role !== 'user' && m.role !== 'bot')) continue;
+		used += m.text.length;
+		if (used > budget) break;
+		turns.unshift({ role: m.role, text: m.text });
+	}
+	return turns;
+}
+
+/**
+ * Append the new user text to history turns and normalize them for chat APIs
+ * that want the conversation to open with a user turn and alternate roles:
+ * leading bot turns are dropped and same-role neighbours are merged.
+ * 
+ * @param {Array<{role: string, text: string}>} turns - Trimmed history
+ * @param {string} text - New user message
+ * @returns {Array<{role: string, text: string}>} Alternating turns ending with the user
+ */
+const alternateTurns = (turns, text) => {
+	const out = [];
+	[...turns, { role: 'user', text }].forEach(t => {
+		if (!out.length && t.role === 'bot') return;
+		const last = out[out.length - 1];
+		if (last && last.role === t.role) {
+			last.text += '\n\n' + t.text;
+		} else {
+			out.push({ role: t.role, text: t.text });
+		}
+	});
+	return out;
+};
+
+/**
+ * Build Gemini `contents` from history turns plus the new user text
+ * (bot turns become Gemini's `model` role).
+ * 
+ * @param {Array<{role: string, text: string}>} turns - Trimmed history
+ * @param {string} text - New user message
+ * @returns {Array<Object>} Gemini contents array
+ */
+const toGeminiContents = (turns, text) =>
+	alternateTurns(turns, text).map(t => ({ role: t.role === 'bot' ? 'model' : 'user', parts: [{ text: t.text }] }));
+
+/**
+ * Build Anthropic `messages` from history turns plus the new user text
+ * (bot turns become Claude's `assistant` role).
+ * 
+ * @param {Array<{role: string, text: string}>} turns - Trimmed history
+ * @param {string} text - New user message
+ * @returns {Array<Object>} Claude messages array
+ */
+const toClaudeMessages = (turns, text) =>
+	alternateTurns(turns, text).map(t => ({ role: t.role === 'bot' ? 'assistant' : 'user', content: t.text }));
+
+/**
+ * Map provider-neutral generation settings onto a service's request fields,
+ * leaving out the ones that aren't set.
+ * 
+ * @param {Object|null} generation - { temperature?, topP?, maxTokens?, stop? }
+ * @param {Object} names - Request field per setting (e.g., { maxTokens: 'max_tokens' })
+ * @returns {Object} Fields to merge into the request
+ */
+const generationFields = (generation, names) => {
+	const out = {};
+	Object.entries(names).forEach(([key, field]) => {
+		if (generation?.[key] != null) out[field] = generation[key];
+	});
+	return out;
+};
+
+/**
+ * Whether cloud requests go through config.LOCAL_PROXY. The proxy can inject
+ * API keys server-side, so adapters do not insist on a browser-held key.
+ * 
+ * @returns {boolean} True when a proxy is configured in the browser
+ */
+export const viaProxy = () => typeof window !== 'undefined' && !!config.LOCAL_PROXY;
+
+/**
+ * Parse a Retry-After header (delta seconds or an HTTP date).
+ * 
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/unparseable
+ */
+const parseRetryAfter = value => {
+	if (!value) return null;
+	const secs = Number(value);
+	if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+	const at = Date.parse(value);
+	return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+/**
+ * Build a typed error for a non-2xx response, keeping the status and any
+ * Retry-After hint so the router can decide whether to retry.
+ * 
+ * @param {string} provider - Who failed (e.g., 'gemini', 'proxy')
+ * @param {Response} res - Failed response
+ * @param {string} [label=provider] - Name used in the message (e.g., a local model's name)
+ * @returns {Promise<AiError>} Error with `status` and `retryAfter` (ms or null)
+ */
+const httpError = async (provider, res, label = provider) => {
+	const text = await res.text().catch(() => '');
+	return errorFromResponse(provider, res.status, text, parseRetryAfter(res.headers?.get?.('retry-after')), label);
+};
+
+/**
+ * Turn a failed fetch (no response at all) into a typed error: a timeout
+ * when the signal gave up waiting, otherwise a network/CORS failure.
+ * 
+ * @param {*} err - What fetch threw
+ * @param {string} provider - Who could not be reached (e.g., 'gemini', 'proxy')
+ * @param {AbortSignal} [signal] - Signal the request used
+ * @param {string} [label=provider] - Name used in the message
+ * @returns {AiError} TimeoutError or NetworkError
+ */
+const fetchError = (err, provider, signal, label = provider) => {
+	if (signal?.reason instanceof TimeoutError) return signal.reason;
+	if (signal?.reason?.name === 'TimeoutError') return new TimeoutError(`${label} did not answer in time`, { provider, cause: err });
+	return new NetworkError(`could not reach ${label} (network error, possibly CORS): ${err?.message || String(err)}`, { provider, cause: err });
+};
+
+/**
+ * Read a JSON response body.
+ * 
+ * @param {Response} res - Successful response
+ * @param {string} provider - Who answered
+ * @param {string} [label=provider] - Name used in the message
+ * @returns {Promise<Object>} Parsed body
+ * @throws {BadResponseError} If the body is not a JSON object
+ */
+const readJson = async (res, provider, label = provider) => {
+	const data = await res.json().catch(() => null);
+	if (!data || typeof data !== 'object') throw new BadResponseError(`${label} sent a reply that could not be read`, { provider, status: res.status });
+	return data;
+};
+
+/**
+ * Anthropic stream `error` event types, as the HTTP status the same failure
+ * gets outside a stream.
+ */
+const CLAUDE_ERROR_STATUS = {
+	invalid_request_error: 400,
+	authentication_error: 401,
+	permission_error: 403,
+	not_found_error: 404,
+	rate_limit_error: 429,
+	api_error: 500,
+	overloaded_error: 529
+};
+
+/**
+ * Gemini finish reasons that mean the reply was withheld by a content filter.
+ */
+const GEMINI_BLOCKED = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+/**
+ * Readable name of the harm category behind a Gemini block, taken from its
+ * safety ratings: the rating marked as blocked, else the most likely harm
+ * (e.g., 'HARM_CATEGORY_DANGEROUS_CONTENT' becomes 'dangerous content').
+ * 
+ * @param {Array<Object>} [ratings=[]] - `safetyRatings` of the prompt or a candidate
+ * @returns {string|null} Category, or null when no rating stands out
+ */
+const safetyCategory = (ratings = []) => {
+	const hit = ratings.find(r => r?.blocked) || ['HIGH', 'MEDIUM'].map(p => ratings.find(r => r?.probability === p)).find(Boolean);
+	return hit?.category ? String(hit.category).replace(/^HARM_CATEGORY_/, '').toLowerCase().replace(/_/g, ' ') : null;
+};
+
+/**
+ * Text of a Gemini candidate: every text part in order, leaving out the
+ * model's thoughts.
+ * 
+ * @param {Object} [candidate] - Candidate from a response or stream event
+ * @returns {string} Joined text ('' when there is none)
+ */
+const geminiText = candidate => (candidate?.content?.parts || []).filter(p => !p?.thought).map(p => p?.text || '').join('');
+
+/**
+ * Throw if a Gemini response (or stream event) was blocked: the prompt itself
+ * (`promptFeedback.blockReason`) or the first candidate stopping for safety
+ * without producing text. The message names the category that triggered it.
+ * 
+ * @param {Object} data - Response body or stream event
+ * @param {Object} [candidate] - First candidate in it, if any
+ * @param {boolean} hasText - Whether any reply text was produced
+ * @throws {SafetyError} When the reply was blocked
+ */
+const checkGeminiBlocked = (data, candidate, hasText) => {
+	const reason = data?.promptFeedback?.blockReason;
+	if (reason) {
+		const category = safetyCategory(data.promptFeedback.safetyRatings);
+		throw new SafetyError(`gemini blocked the prompt${category ? ` for ${category}` : ''} (${reason})`, { provider: 'gemini', reason, category });
+	}
+	const finish = candidate?.finishReason;
+	if (!hasText && GEMINI_BLOCKED.includes(finish)) {
+		const category = safetyCategory(candidate.safetyRatings);
+		throw new SafetyError(`gemini withheld the reply${category ? ` for ${category}` : ''} (${finish})`, { provider: 'gemini', reason: finish, category });
+	}
+};
+
+/**
+ * How a Gemini candidate ended, when it did not simply finish: `length` at
+ * the token limit, `safety` when a filter cut it short after some text.
+ * 
+ * @param {Object} [candidate] - Candidate carrying `finishReason`
+ * @returns {Object|null} { reason: 'length' } or { reason: 'safety', category }, else null
+ */
+const geminiFinish = candidate => {
+	const reason = candidate?.finishReason;
+	if (reason === 'MAX_TOKENS') return { reason: 'length' };
+	if (GEMINI_BLOCKED.includes(reason)) return { reason: 'safety', category: safetyCategory(candidate.safetyRatings) || reason.toLowerCase() };
+	return null;
+};
+
+/**
+ * Token usage in the provider-neutral shape stored on replies.
+ * 
+ * @param {number} [input=0] - Prompt tokens
+ * @param {number} [output=0] - Generated tokens (including any thinking)
+ * @param {number} [total] - Total billed, when the provider reports one
+ * @returns {Object} { input, output, total }
+ */
+const usage = (input = 0, output = 0, total) => ({ input, output, total: total ?? input + output });
+
+/**
+ * Usage from Gemini's `usageMetadata` (thinking tokens are billed as output).
+ * 
+ * @param {Object} [meta] - usageMetadata of a response or the last stream event
+ * @returns {Object|null} Usage, or null when none was reported
+ */
+const geminiUsage = meta => meta
+	? usage(meta.promptTokenCount || 0, (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0), meta.totalTokenCount)
+	: null;
+
+/**
+ * Usage from an Anthropic `usage` object (cached prompt tokens count as input).
+ * 
+ * @param {Object} [u] - usage of a message
+ * @returns {Object|null} Usage, or null when none was reported
+ */
+const claudeUsage = u => u
+	? usage((u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0), u.output_tokens || 0)
+	: null;
+
+/**
+ * Usage from an OpenAI-style `usage` object.
+ * 
+ * @param {Object} [u] - usage of a completion
+ * @returns {Object|null} Usage, or null when none was reported
+ */
+const openAiUsage = u => u ? usage(u.prompt_tokens || 0, u.completion_tokens || 0, u.total_tokens) : null;
+
+/**
+ * Send a JSON request to a provider, either directly or wrapped in the
+ * `{ provider, method, url, headers, body }` envelope understood by
+ * config.LOCAL_PROXY. Resolves with the raw Response so callers can read
+ * JSON or a stream.
+ * 
+ * @param {string} provider - Provider name sent to the proxy (e.g., 'gemini')
+ * @param {string} url - Upstream endpoint
+ * @param {Object} headers - Upstream request headers
+ * @param {Object|null} payload - Request body (serialized as JSON; null for GET)
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.method='POST'] - HTTP method
+ * @param {boolean} [options.proxy=viaProxy()] - Route through config.LOCAL_PROXY
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} [options.source=provider] - Provider put on network errors, when it differs from the proxy name
+ * @param {string} [options.label=source] - Name used in network error messages
+ * @returns {Promise<Response>} Upstream (or proxy) response
+ * @throws {AiError} On proxy failure (typed by status), NetworkError/TimeoutError when nothing answered, or the abort reason
+ */
+const sendJson = async (provider, url, headers, payload, { method = 'POST', proxy = viaProxy(), signal, source = provider, label = source } = {}) => {
+	try {
+		if (proxy) {
+			const proxyRes = await fetch(config.LOCAL_PROXY, {
+				method: 'POST',
+				headers: { 'content-type': 'application/json' },
+				body: JSON.stringify({ provider, method, url, headers, body: payload }),
+				signal
+			});
+			if (!proxyRes.ok) throw await httpError('proxy', proxyRes);
+			return proxyRes;
+		}
+		const body = payload == null ? undefined : JSON.stringify(payload);
+		return await fetch(url, { method, headers, body, signal });
+	} catch (err) {
+		// http failures and cancellations (e.g. Stop) are not network problems
+		if (err instanceof AiError || (signal?.aborted && signal.reason?.name !== 'TimeoutError')) throw err;
+		throw proxy ? fetchError(err, 'proxy', signal) : fetchError(err, source, signal, label);
+	}
+};
+
+/**
+ * Check an API key with a minimal request. A 401/403 means the key was
+ * rejected; a rate limit or used-up quota still means it was recognized.
+ * 
+ * @param {string} provider - Provider name sent to the proxy
+ * @param {string} url - Upstream endpoint
+ * @param {Object} headers - Upstream request headers
+ * @param {Object} payload - Minimal request body
+ * @param {AbortSignal} [signal] - Aborts the check
+ * @returns {Promise<boolean>} True if the key was accepted
+ * @throws {AiError} NetworkError/TimeoutError when nothing answered, or the typed error for any other failure
+ */
+const probeKey = async (provider, url, headers, payload, signal) => {
+	try {
+		const res = await sendJson(provider, url, headers, payload, { signal });
+		if (!res.ok) throw await httpError(provider, res);
+		return true;
+	} catch (err) {
+		if (err instanceof AuthError) return false;
+		if (err instanceof RateLimitError || err instanceof QuotaError) return true;
+		throw err;
+	}
+};
+
+/**
+ * Read a server-sent events body and yield each `data:` payload parsed as JSON.
+ * Blank events and the OpenAI-style `[DONE]` marker are skipped.
+ * 
+ * @param {Response} res - Streaming response
+ * @yields {Object} Parsed event payloads in arrival order
+ */
+async function* readSse(res) {
+	const reader = res.body.getReader();
+	const decoder = new TextDecoder();
+	let buf = '';
+	const take = function* (line) {
+		if (!line.startsWith('data:')) return;
+		const data = line.slice(5).trim();
+		if (!data || data === '[DONE]') return;
+		try {
+			yield JSON.parse(data);
+		} catch {
+			// ignore malformed events rather than killing the stream
+		}
+	};
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		buf += decoder.decode(value, { stream: true });
+		let nl;
+		while ((nl = buf.indexOf('\n')) >= 0) {
+			const line = buf.slice(0, nl).replace(/\r$/, '');
+			buf = buf.slice(nl + 1);
+			yield* take(line);
+		}
+	}
+	yield* take(buf.trim());
+}
+
+/**
+ * Sleep helper used to pace simulated streams and retries.
+ * 
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short by rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+	if (signal?.aborted) return reject(signal.reason);
+	const t = setTimeout(() => {
+		signal?.removeEventListener('abort', onAbort);
+		resolve();
+	}, ms);
+	const onAbort = () => {
+		clearTimeout(t);
+		reject(signal.reason);
+	};
+	signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Build the signal for one provider attempt: it aborts when the caller's
+ * signal does, or when the provider stays silent for `ms` (call `touch()`
+ * on every streamed chunk to push the deadline back).
+ * 
+ * @param {AbortSignal|undefined} outer - Caller's signal (e.g., the Stop button)
+ * @param {number} ms - Idle timeout in milliseconds (0 disables it)
+ * @param {string} name - Provider name for the timeout message
+ * @returns {{ signal: AbortSignal, touch: Function, done: Function, timedOut: Function }}
+ */
+const deadline = (outer, ms, name) => {
+	const ctrl = new AbortController();
+	let timer = null;
+	let expired = false;
+	const onAbort = () => ctrl.abort(outer.reason);
+	const touch = () => {
+		clearTimeout(timer);
+		if (ms > 0) {
+			timer = setTimeout(() => {
+				expired = true;
+				ctrl.abort(new TimeoutError(`${name} timed out after ${ms / 1000}s`, { provider: name }));
+			}, ms);
+		}
+	};
+	if (outer?.aborted) ctrl.abort(outer.reason);
+	else outer?.addEventListener('abort', onAbort, { once: true });
+	touch();
+	return {
+		signal: ctrl.signal,
+		touch,
+		done: () => {
+			clearTimeout(timer);
+			outer?.removeEventListener('abort', onAbort);
+		},
+		timedOut: () => expired
+	};
+};
+
+/**
+ * Local Eliza chatbot service (rule-based, no API calls). System prompts
+ * and generation settings don't apply to it and are ignored.
  * 
  * @class
  */
@@ -17,11 +442,30 @@ export class ElizaService {
 	 * Generate a response using the local Eliza bot.
 	 * 
 	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Cancels the reply
 	 * @returns {Promise<string>} Bot's response
 	 */
-	async reply(text) {
+	async reply(text, { signal } = {}) {
+		signal?.throwIfAborted();
 		return getBotResponse(text);
 	}
+
+	/**
+	 * Stream the Eliza response word by word so it renders like a cloud model.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Stops the stream between words
+	 * @yields {string} Response chunks in order
+	 */
+	async *stream(text, { signal } = {}) {
+		const words = (await this.reply(text, { signal })).split(/(?<=\s)/);
+		for (const w of words) {
+			await wait(30, signal);
+			yield w;
+		}
+	}
 }
 
 /**
@@ -38,11 +482,15 @@ export class GeminiService {
 	 * @param {string} [options.apiKey='YOUR_GEMINI_API_KEY_HERE'] - Google AI API key
 	 * @param {string} [options.model='gemini-2.5-pro-preview-03-25'] - Gemini model to use
 	 * @param {string} [options.baseUrl='https://generativelanguage.googleapis.com/v1beta'] - API base URL
+	 * @param {string} [options.system=''] - Default system instruction
+	 * @param {number} [options.historyBudget=config.HISTORY_BUDGET] - Max characters of prior conversation to send
 	 */
-	constructor({ apiKey = 'YOUR_GEMINI_API_KEY_HERE', model = 'gemini-2.5-pro-preview-03-25', baseUrl = 'https://generativelanguage.googleapis.com/v1beta' } = {}) {
+	constructor({ apiKey = 'YOUR_GEMINI_API_KEY_HERE', model = 'gemini-2.5-pro-preview-03-25', baseUrl = 'https://generativelanguage.googleapis.com/v1beta', system = '', historyBudget = config.HISTORY_BUDGET } = {}) {
 		this.apiKey = apiKey;
 		this.model = model;
 		this.baseUrl = baseUrl;
+		this.system = system;
+		this.historyBudget = historyBudget;
 	}
 
 	/**
@@ -54,90 +502,498 @@ export class GeminiService {
 		this.apiKey = k;
 	}
 
+	// true when a real (non-placeholder) key is set
+	hasKey() {
+		return !!this.apiKey && this.apiKey !== 'YOUR_GEMINI_API_KEY_HERE';
+	}
+
+	/**
+	 * Build a model endpoint URL. The key is left off when none is set so a
+	 * proxy can add its own.
+	 * 
+	 * @param {string} method - API method (e.g., 'generateContent')
+	 * @param {Object} [query={}] - Extra query parameters
+	 * @param {string} [model=this.model] - Model to call
+	 * @returns {string} Endpoint URL
+	 */
+	endpoint(method, query = {}, model = this.model) {
+		const params = new URLSearchParams(query);
+		if (this.hasKey()) params.set('key', this.apiKey);
+		return `${this.baseUrl}/models/${model}:${method}?${params}`;
+	}
+
+	/**
+	 * Build the generateContent request body.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Array<Object>} history - Prior chat messages, oldest first
+	 * @param {string} system - System instruction ('' for none)
+	 * @param {Object|null} [generation] - Generation settings (see AiRouter.generationFor)
+	 * @returns {Object} Request payload
+	 */
+	payload(text, history, system, generation = null) {
+		const body = { contents: toGeminiContents(trimHistory(history, this.historyBudget), text) };
+		if (system) body.systemInstruction = { parts: [{ text: system }] };
+		const config = generationFields(generation, { temperature: 'temperature', topP: 'topP', maxTokens: 'maxOutputTokens', stop: 'stopSequences', candidates: 'candidateCount' });
+		if (Object.keys(config).length) body.generationConfig = config;
+		return body;
+	}
+
 	/**
 	 * Generate a response from Gemini API.
 	 * 
 	 * @param {string} text - User's message
-	 * @returns {Promise<string>} Gemini's response text
-	 * @throws {Error} If API key is missing, network fails, or API returns error
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System instruction for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings (sent as `generationConfig`)
+	 * @param {AbortSignal} [options.signal] - Cancels the request
+	 * @param {Function} [options.onFinish] - Called with { finish, alternatives, usage } once the reply is complete
+	 *   (see geminiFinish; alternatives are the texts of any further candidates, usage the tokens used)
+	 * @returns {Promise<string>} Text of the first candidate
+	 * @throws {AiError} If API key is missing, network fails, the reply is blocked, or API returns error
 	 */
-	async reply(text) {
-		if (!this.apiKey || this.apiKey === 'YOUR_GEMINI_API_KEY_HERE') {
-			throw new Error('missing gemini api key');
+	async reply(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		if (!this.hasKey() && !viaProxy()) {
+			throw new AuthError('missing gemini api key', { provider: 'gemini' });
 		}
 
 		// Build request details for Gemini
-		const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${encodeURIComponent(this.apiKey)}`;
+		const url = this.endpoint('generateContent', {}, generation?.model || this.model);
 		const headers = { 'content-type': 'application/json' };
-		const payload = { contents: [ { role: 'user', parts: [{ text }] } ] };
+		const payload = this.payload(text, history, system, generation);
 
-		let res;
-		try {
-			if (typeof window !== 'undefined' && config.LOCAL_PROXY) {
-				const proxyRes = await fetch(config.LOCAL_PROXY, {
-					method: 'POST',
-					headers: { 'content-type': 'application/json' },
-					body: JSON.stringify({ provider: 'gemini', url, headers, body: payload })
-				});
-				if (!proxyRes.ok) {
-					const txt = await proxyRes.text().catch(() => '');
-					throw new Error(`proxy error: ${proxyRes.status} ${txt}`);
-				}
-				const proxied = await proxyRes.json().catch(() => null);
-				res = { ok: true, status: proxyRes.status, json: async () => proxied };
-			} else {
-				res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) });
-			}
-		} catch (err) {
-			if (typeof window !== 'undefined' && !config.LOCAL_PROXY) {
-				throw new Error(`network error (possibly CORS): ${err?.message || String(err)} — consider running a local proxy and set config.LOCAL_PROXY to its URL`);
-			}
-			throw err;
-		}
+		const res = await sendJson('gemini', url, headers, payload, { signal });
+		if (!res.ok) throw await httpError('gemini', res);
+
+		const data = await readJson(res, 'gemini');
+		// gemini returns candidates -> content -> parts -> text, one candidate per candidateCount
+		const candidates = [];
+		(data.candidates || []).forEach((c, i) => { candidates[c?.index ?? i] = c; });
+		const textOut = geminiText(candidates[0]).trim();
+		checkGeminiBlocked(data, candidates[0], !!textOut);
+		onFinish?.({
+			finish: geminiFinish(candidates[0]),
+			alternatives: candidates.slice(1).map(c => geminiText(c).trim()).filter(Boolean),
+			usage: geminiUsage(data.usageMetadata)
+		});
+		return textOut || 'sorry, i could not generate a response.';
+	}
 
-		if (!res.ok) {
-			const msg = await (res.text ? res.text().catch(() => String(res.status)) : Promise.resolve(String(res.status)));
-			throw new Error(`gemini error: ${res.status} ${msg}`);
+	/**
+	 * Stream a response from Gemini via server-sent events.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System instruction for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings (sent as `generationConfig`)
+	 * @param {AbortSignal} [options.signal] - Cancels the request mid-stream
+	 * @param {Function} [options.onFinish] - Called with { finish, alternatives, usage } once the stream ends (see reply)
+	 * @yields {string} Text chunks of the first candidate as Gemini produces them
+	 * @throws {AiError} If API key is missing, network fails, the reply is blocked, or API returns error
+	 */
+	async *stream(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		if (!this.hasKey() && !viaProxy()) {
+			throw new AuthError('missing gemini api key', { provider: 'gemini' });
 		}
 
-		const data = await (res.json ? res.json() : Promise.resolve(null));
-		// gemini returns candidates -> content -> parts -> text
-		const textOut = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-		return (textOut && String(textOut).trim()) || 'sorry, i could not generate a response.';
+		const url = this.endpoint('streamGenerateContent', { alt: 'sse' }, generation?.model || this.model);
+		const headers = { 'content-type': 'application/json' };
+		const payload = this.payload(text, history, system, generation);
+
+		const res = await sendJson('gemini', url, headers, payload, { signal });
+		if (!res.ok) throw await httpError('gemini', res);
+
+		// each event carries partial candidates; the first is streamed, any
+		// others are collected and handed over at the end
+		let produced = false;
+		let finish = null;
+		let used = null;
+		const others = [];
+		for await (const data of readSse(res)) {
+			// usage is running, so the last event's counts are the totals
+			if (data?.usageMetadata) used = geminiUsage(data.usageMetadata);
+			const candidates = data?.candidates || [];
+			const first = candidates.find((c, i) => (c?.index ?? i) === 0);
+			const chunk = geminiText(first);
+			checkGeminiBlocked(data, first, produced || !!chunk);
+			if (first?.finishReason) finish = geminiFinish(first);
+			candidates.forEach((c, i) => {
+				const index = c?.index ?? i;
+				if (index > 0) others[index] = (others[index] || '') + geminiText(c);
+			});
+			if (chunk) {
+				produced = true;
+				yield chunk;
+			}
+		}
+		onFinish?.({ finish, alternatives: others.map(t => t.trim()).filter(Boolean), usage: used });
 	}
 
 	/**
 	 * Validate the Gemini API key by making a minimal test request.
 	 * 
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Cancels the check
 	 * @returns {Promise<boolean>} True if key is valid, false if rejected (401/403)
-	 * @throws {Error} If network/CORS error occurs (caller should handle with user-friendly message)
+	 * @throws {AiError} NetworkError/TimeoutError if nothing answered, or the typed error for other failures
 	 */
-	async validateKey() {
-		if (!this.apiKey) return false;
-		const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${encodeURIComponent(this.apiKey)}`;
+	async validateKey({ signal } = {}) {
+		if (!this.hasKey() && !viaProxy()) return false;
+		const url = this.endpoint('generateContent');
 		const headers = { 'content-type': 'application/json' };
 		const payload = { contents: [ { role: 'user', parts: [{ text: 'ping' }] } ] };
-		try {
-			if (typeof window !== 'undefined' && config.LOCAL_PROXY) {
-				const proxyRes = await fetch(config.LOCAL_PROXY, {
-					method: 'POST',
-					headers: { 'content-type': 'application/json' },
-					body: JSON.stringify({ provider: 'gemini', url, headers, body: payload })
-				});
-				if (!proxyRes.ok) return false;
-				return true;
-			} else {
-				const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) });
-				if (res.status === 401 || res.status === 403) return false;
-				return res.ok;
+		// network/CORS errors bubble to the caller for a clearer UI message
+		return probeKey('gemini', url, headers, payload, signal);
+	}
+}
+
+/**
+ * Anthropic Claude service (cloud-based LLM) using the Messages API.
+ * Direct browser calls need Anthropic's opt-in CORS header; a local proxy
+ * (config.LOCAL_PROXY) is the safer route.
+ * 
+ * @class
+ */
+export class ClaudeService {
+	/**
+	 * Create a Claude service instance.
+	 * 
+	 * @param {Object} options - Configuration options
+	 * @param {string} [options.apiKey=''] - Anthropic API key
+	 * @param {string} [options.model='claude-haiku-4-5-20251001'] - Claude model to use
+	 * @param {string} [options.baseUrl='https://api.anthropic.com/v1'] - API base URL
+	 * @param {string} [options.system=''] - Default system prompt
+	 * @param {number} [options.maxTokens=1024] - Max tokens per reply
+	 * @param {number} [options.historyBudget=config.HISTORY_BUDGET] - Max characters of prior conversation to send
+	 */
+	constructor({ apiKey = '', model = 'claude-haiku-4-5-20251001', baseUrl = 'https://api.anthropic.com/v1', system = '', maxTokens = 1024, historyBudget = config.HISTORY_BUDGET } = {}) {
+		this.apiKey = apiKey;
+		this.model = model;
+		this.baseUrl = baseUrl;
+		this.system = system;
+		this.maxTokens = maxTokens;
+		this.historyBudget = historyBudget;
+	}
+
+	/**
+	 * Update the API key (allows runtime key changes).
+	 * 
+	 * @param {string} k - New API key
+	 */
+	setApiKey(k) {
+		this.apiKey = k;
+	}
+
+	// request headers for the messages endpoint
+	headers() {
+		const h = {
+			'content-type': 'application/json',
+			'anthropic-version': '2023-06-01',
+			'anthropic-dangerous-direct-browser-access': 'true'
+		};
+		// leave the key off when a proxy injects its own
+		if (this.apiKey) h['x-api-key'] = this.apiKey;
+		return h;
+	}
+
+	/**
+	 * Build the Messages API request body.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Array<Object>} history - Prior chat messages, oldest first
+	 * @param {string} system - System prompt ('' for none)
+	 * @param {Object|null} [generation] - Generation settings (see AiRouter.generationFor)
+	 * @returns {Object} Request payload
+	 */
+	payload(text, history, system, generation = null) {
+		const body = {
+			model: generation?.model || this.model,
+			max_tokens: generation?.maxTokens ?? this.maxTokens,
+			messages: toClaudeMessages(trimHistory(history, this.historyBudget), text),
+			...generationFields(generation, { temperature: 'temperature', topP: 'top_p', stop: 'stop_sequences' })
+		};
+		// chats share one temperature across providers; claude only accepts up to 1
+		if (body.temperature != null) body.temperature = Math.min(body.temperature, maxTemperature('claude'));
+		if (system) body.system = system;
+		return body;
+	}
+
+	/**
+	 * Generate a response from the Claude Messages API.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System prompt for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings
+	 * @param {AbortSignal} [options.signal] - Cancels the request
+	 * @param {Function} [options.onFinish] - Called with { usage } once the reply is complete
+	 * @returns {Promise<string>} Claude's response text
+	 * @throws {AiError} If API key is missing, network fails, Claude refuses, or API returns error
+	 */
+	async reply(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		if (!this.apiKey && !viaProxy()) throw new AuthError('missing claude api key', { provider: 'claude' });
+
+		const res = await sendJson('claude', `${this.baseUrl}/messages`, this.headers(), this.payload(text, history, system, generation), { signal });
+		if (!res.ok) throw await httpError('claude', res);
+
+		const data = await readJson(res, 'claude');
+		// claude returns content blocks; keep the text ones
+		const textOut = (data.content || []).filter(b => b?.type === 'text').map(b => b.text).join('');
+		if (!textOut.trim() && data.stop_reason === 'refusal') throw new SafetyError('claude declined to answer', { provider: 'claude', reason: 'refusal' });
+		onFinish?.({ usage: claudeUsage(data.usage) });
+		return textOut.trim() || 'sorry, i could not generate a response.';
+	}
+
+	/**
+	 * Stream a response from Claude via server-sent events.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System prompt for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings
+	 * @param {AbortSignal} [options.signal] - Cancels the request mid-stream
+	 * @param {Function} [options.onFinish] - Called with { usage } once the stream ends
+	 * @yields {string} Text chunks as Claude produces them
+	 * @throws {AiError} If API key is missing, network fails, Claude refuses, or API returns error
+	 */
+	async *stream(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		if (!this.apiKey && !viaProxy()) throw new AuthError('missing claude api key', { provider: 'claude' });
+
+		const payload = { ...this.payload(text, history, system, generation), stream: true };
+		const res = await sendJson('claude', `${this.baseUrl}/messages`, this.headers(), payload, { signal });
+		if (!res.ok) throw await httpError('claude', res);
+
+		let produced = false;
+		// input tokens come with message_start, the running output count with each message_delta
+		let input = null;
+		let output = null;
+		for await (const data of readSse(res)) {
+			if (data?.type === 'message_start') input = data.message?.usage || null;
+			if (data?.type === 'message_delta' && data.usage) output = data.usage;
+			if (data?.type === 'error') {
+				throw errorFromResponse('claude', CLAUDE_ERROR_STATUS[data.error?.type] || 500, JSON.stringify({ error: data.error || { message: 'stream failed' } }));
+			}
+			if (data?.type === 'message_delta' && data.delta?.stop_reason === 'refusal' && !produced) {
+				throw new SafetyError('claude declined to answer', { provider: 'claude', reason: 'refusal' });
+			}
+			if (data?.type === 'content_block_delta' && data.delta?.text) {
+				produced = true;
+				yield data.delta.text;
 			}
-		} catch (err) {
-			// bubble network/CORS errors to the caller for a clearer UI message
-			throw err;
 		}
+		onFinish?.({ usage: input || output ? claudeUsage({ ...input, ...output }) : null });
+	}
+
+	/**
+	 * Validate the Claude API key by making a minimal test request.
+	 * 
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Cancels the check
+	 * @returns {Promise<boolean>} True if key is valid, false if rejected (401/403)
+	 * @throws {AiError} NetworkError/TimeoutError if nothing answered, or the typed error for other failures
+	 */
+	async validateKey({ signal } = {}) {
+		if (!this.apiKey && !viaProxy()) return false;
+		const payload = { model: this.model, max_tokens: 1, messages: [ { role: 'user', content: 'ping' } ] };
+		return probeKey('claude', `${this.baseUrl}/messages`, this.headers(), payload, signal);
 	}
 }
 
+/**
+ * OpenAI-compatible chat service for self-hosted models (Ollama, llama.cpp
+ * server, vLLM, ...). Speaks `/chat/completions` and `/models`; no API key
+ * is needed unless the server asks for one.
+ * 
+ * @class
+ */
+export class OpenAiCompatService {
+	/**
+	 * Create an OpenAI-compatible service instance.
+	 * 
+	 * @param {Object} options - Configuration options
+	 * @param {string} [options.baseUrl='http://localhost:11434/v1'] - API base URL (Ollama's default)
+	 * @param {string} [options.model=''] - Model name (pick one from listModels())
+	 * @param {string} [options.apiKey=''] - Optional bearer token
+	 * @param {boolean} [options.useProxy=false] - Route through config.LOCAL_PROXY (for remote servers without CORS)
+	 * @param {string} [options.system=''] - Default system prompt
+	 * @param {number} [options.historyBudget=config.HISTORY_BUDGET] - Max characters of prior conversation to send
+	 * @param {string} [options.provider='ollama'] - Name the router knows the service by, put on its errors
+	 */
+	constructor({ baseUrl = 'http://localhost:11434/v1', model = '', apiKey = '', useProxy = false, system = '', historyBudget = config.HISTORY_BUDGET, provider = 'ollama' } = {}) {
+		this.provider = provider;
+		this.baseUrl = baseUrl.replace(/\/+$/, '');
+		this.model = model;
+		this.apiKey = apiKey;
+		this.useProxy = useProxy;
+		this.system = system;
+		this.historyBudget = historyBudget;
+	}
+
+	/**
+	 * Update the API key (allows runtime key changes).
+	 * 
+	 * @param {string} k - New API key
+	 */
+	setApiKey(k) {
+		this.apiKey = k;
+	}
+
+	/**
+	 * Switch the model used for replies.
+	 * 
+	 * @param {string} name - Model id as reported by listModels()
+	 */
+	setModel(name) {
+		this.model = name;
+	}
+
+	// request headers, with a bearer token only when one is set
+	headers() {
+		const h = { 'content-type': 'application/json' };
+		if (this.apiKey) h.authorization = `Bearer ${this.apiKey}`;
+		return h;
+	}
+
+	// transport options for sendJson
+	transport(method = 'POST', signal) {
+		return { method, proxy: this.useProxy && viaProxy(), signal, source: this.provider, label: this.model || this.provider };
+	}
+
+	/**
+	 * Build the chat completions request body. A system prompt goes first
+	 * as a `system` message.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Array<Object>} history - Prior chat messages, oldest first
+	 * @param {string} system - System prompt ('' for none)
+	 * @param {Object|null} [generation] - Generation settings (see AiRouter.generationFor)
+	 * @returns {Object} Request payload
+	 */
+	payload(text, history, system, generation = null) {
+		const model = generation?.model || this.model;
+		if (!model) throw new AiError('no local model selected', { provider: this.provider });
+		const messages = alternateTurns(trimHistory(history, this.historyBudget), text)
+			.map(t => ({ role: t.role === 'bot' ? 'assistant' : 'user', content: t.text }));
+		if (system) messages.unshift({ role: 'system', content: system });
+		return {
+			model,
+			messages,
+			...generationFields(generation, { temperature: 'temperature', topP: 'top_p', maxTokens: 'max_tokens', stop: 'stop' })
+		};
+	}
+
+	/**
+	 * Generate a response from the chat completions endpoint.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System prompt for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings
+	 * @param {AbortSignal} [options.signal] - Cancels the request
+	 * @param {Function} [options.onFinish] - Called with { usage } once the reply is complete
+	 * @returns {Promise<string>} Model's response text
+	 * @throws {AiError} If no model is selected, network fails, the reply is filtered, or the server returns an error
+	 */
+	async reply(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		const res = await sendJson('openai', `${this.baseUrl}/chat/completions`, this.headers(), this.payload(text, history, system, generation), this.transport('POST', signal));
+		if (!res.ok) throw await httpError(this.provider, res, this.model);
+		const data = await readJson(res, this.provider, this.model);
+		const choice = data.choices?.[0];
+		const textOut = choice?.message?.content;
+		if (!textOut && choice?.finish_reason === 'content_filter') throw new SafetyError(`${this.model} filtered the reply`, { provider: this.provider, reason: 'content_filter' });
+		onFinish?.({ usage: openAiUsage(data.usage) });
+		return (textOut && String(textOut).trim()) || 'sorry, i could not generate a response.';
+	}
+
+	/**
+	 * Stream a response from the chat completions endpoint.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages, oldest first
+	 * @param {string} [options.system=this.system] - System prompt for this request
+	 * @param {Object|null} [options.generation] - Model and sampling settings
+	 * @param {AbortSignal} [options.signal] - Cancels the request mid-stream
+	 * @param {Function} [options.onFinish] - Called with { usage } once the stream ends
+	 * @yields {string} Text chunks as the model produces them
+	 * @throws {AiError} If no model is selected, network fails, the reply is filtered, or the server returns an error
+	 */
+	async *stream(text, { history = [], system = this.system, generation = null, signal, onFinish } = {}) {
+		// ask for a final chunk with the token counts (servers that don't know the option skip it)
+		const payload = { ...this.payload(text, history, system, generation), stream: true, stream_options: { include_usage: true } };
+		const res = await sendJson('openai', `${this.baseUrl}/chat/completions`, this.headers(), payload, this.transport('POST', signal));
+		if (!res.ok) throw await httpError(this.provider, res, this.model);
+		let produced = false;
+		let used = null;
+		for await (const data of readSse(res)) {
+			if (data?.usage) used = openAiUsage(data.usage);
+			const choice = data?.choices?.[0];
+			if (choice?.finish_reason === 'content_filter' && !produced) {
+				throw new SafetyError(`${this.model} filtered the reply`, { provider: this.provider, reason: 'content_filter' });
+			}
+			if (choice?.delta?.content) {
+				produced = true;
+				yield choice.delta.content;
+			}
+		}
+		onFinish?.({ usage: used });
+	}
+
+	/**
+	 * List the models the server offers.
+	 * 
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Cancels the request
+	 * @returns {Promise<Array<string>>} Model ids, sorted
+	 * @throws {AiError} If the server can't be reached or returns an error
+	 */
+	async listModels({ signal } = {}) {
+		const res = await sendJson('openai', `${this.baseUrl}/models`, this.headers(), null, this.transport('GET', signal));
+		if (!res.ok) throw await httpError(this.provider, res, `${this.provider} model list`);
+		const data = await res.json().catch(() => null);
+		return (data?.data || []).map(m => m?.id).filter(Boolean).sort();
+	}
+
+	/**
+	 * Check the server is reachable (and accepts the token, if any).
+	 * 
+	 * @param {Object} [options] - Request options
+	 * @param {AbortSignal} [options.signal] - Cancels the check
+	 * @returns {Promise<boolean>} True if the model list could be fetched
+	 */
+	async validateKey({ signal } = {}) {
+		try {
+			await this.listModels({ signal });
+			return true;
+		} catch {
+			return false;
+		}
+	}
+}
+
+/**
+ * Default retry/fallback policy for AiRouter. Transient failures (listed
+ * statuses, network errors and timeouts) are retried with exponential
+ * backoff; a Retry-After hint longer than maxDelay skips straight to the
+ * fallbacks. `timeout` is how long a provider may stay silent before the
+ * attempt is abandoned, overridable per provider in `timeouts`.
+ */
+export const DEFAULT_POLICY = {
+	fallback: [],
+	retries: 2,
+	baseDelay: 500,
+	maxDelay: 8000,
+	statuses: [408, 425, 429, 500, 502, 503, 504],
+	timeout: 60000,
+	timeouts: {},
+	sleep: wait
+};
+
 /**
  * AI Router - orchestrates multiple AI service providers with runtime switching.
  * Implements dependency injection pattern: services are provided at construction,
@@ -151,10 +1007,22 @@ export class AiRouter {
 	 * 
 	 * @param {Object} services - Map of provider names to service instances (e.g., { eliza: ElizaService, gemini: GeminiService })
 	 * @param {string} [defaultKey='eliza'] - Initial provider to use
+	 * @param {Object} [policy] - Retry/fallback overrides merged over DEFAULT_POLICY
+	 * @param {Array<string>} [policy.fallback] - Providers to try, in order, after the active one fails transiently
+	 * @param {number} [policy.retries] - Retries per provider for transient failures
+	 * @param {number} [policy.baseDelay] - First backoff delay in ms (doubles each retry)
+	 * @param {number} [policy.maxDelay] - Longest delay to wait before giving up on a provider
+	 * @param {Array<number>} [policy.statuses] - HTTP statuses treated as transient
+	 * @param {number} [policy.timeout] - Idle timeout per attempt in ms (0 disables)
+	 * @param {Object} [policy.timeouts] - Per-provider idle timeouts (e.g., { ollama: 120000 })
+	 * @param {Function} [policy.sleep] - Delay function ((ms, signal) => Promise), injectable for tests
 	 */
-	constructor(services, defaultKey = 'eliza') {
+	constructor(services, defaultKey = 'eliza', policy = {}) {
 		this.services = services;
 		this.current = defaultKey in services ? defaultKey : Object.keys(services)[0];
+		this.policy = { ...DEFAULT_POLICY, ...policy };
+		// provider that produced the most recent reply (may be a fallback)
+		this.lastProvider = null;
 	}
 
 	/**
@@ -188,23 +1056,215 @@ export class AiRouter {
 		return this.services[this.current];
 	}
 
+	/**
+	 * Update a provider's API key (allows runtime key changes).
+	 * 
+	 * @param {string} provider - Provider key (e.g., 'gemini', 'claude')
+	 * @param {string} k - New API key
+	 */
+	setKey(provider, k) {
+		if (this.services[provider]?.setApiKey) this.services[provider].setApiKey(k);
+	}
+
 	/**
 	 * Update Gemini API key (allows runtime key changes).
 	 * 
 	 * @param {string} k - New API key
 	 */
 	setGeminiKey(k) {
-		if (this.services.gemini?.setApiKey) this.services.gemini.setApiKey(k);
+		this.setKey('gemini', k);
+	}
+
+	/**
+	 * Whether an error is worth retrying or falling back from.
+	 * 
+	 * @param {Error} err - Error thrown by a service
+	 * @returns {boolean} True for network errors, timeouts and transient HTTP statuses
+	 *   (a rejected key or a used-up quota won't clear up by retrying)
+	 */
+	isTransient(err) {
+		if (err instanceof AuthError || err instanceof QuotaError) return false;
+		return !!err?.network || !!err?.timeout || this.policy.statuses.includes(err?.status);
+	}
+
+	/**
+	 * Idle timeout for a provider.
+	 * 
+	 * @param {string} name - Provider key
+	 * @returns {number} Timeout in ms (0 means none)
+	 */
+	timeoutFor(name) {
+		return this.policy.timeouts[name] ?? this.policy.timeout;
+	}
+
+	/**
+	 * Normalize an attempt failure: a deadline expiry becomes a timeout error.
+	 * 
+	 * @param {Error} err - Error thrown by the service
+	 * @param {Object} dl - Deadline for the attempt
+	 * @param {string} name - Provider key
+	 * @returns {Error} Error to act on
+	 */
+	attemptError(err, dl, name) {
+		if (!dl.timedOut()) return err;
+		return new TimeoutError(`${name} timed out after ${this.timeoutFor(name) / 1000}s`, { provider: name, cause: err });
+	}
+
+	/**
+	 * Work out how long to wait before retrying, honoring Retry-After.
+	 * 
+	 * @param {Error} err - Error from the last attempt
+	 * @param {number} attempt - Zero-based attempt number that just failed
+	 * @returns {number|null} Delay in ms, or null to stop retrying this provider
+	 */
+	retryDelay(err, attempt) {
+		const { retries, baseDelay, maxDelay } = this.policy;
+		if (attempt >= retries || !this.isTransient(err)) return null;
+		const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+		if (err.retryAfter == null) return backoff;
+		return err.retryAfter > maxDelay ? null : Math.max(backoff, err.retryAfter);
+	}
+
+	/**
+	 * Generation settings for one provider: the model picked for it (or the
+	 * service's own) plus whichever shared sampling settings are set. This is
+	 * what each service receives as `generation`, and what a reply records.
+	 * 
+	 * @param {string} name - Provider key
+	 * @param {Object} [settings={}] - Conversation settings ({ models, temperature, topP, maxTokens, stop, candidates })
+	 * @returns {Object|null} { model, temperature?, topP?, maxTokens?, stop?, candidates? }, or null
+	 *   for services without models (eliza)
+	 */
+	generationFor(name, settings = {}) {
+		const svc = this.services[name];
+		if (!svc || !('model' in svc)) return null;
+		const gen = { model: settings.models?.[name] || svc.model };
+		['temperature', 'topP', 'maxTokens'].forEach(k => {
+			if (settings[k] != null) gen[k] = settings[k];
+		});
+		// what the provider accepts, so a reply records the temperature it was sent
+		if (gen.temperature != null) gen.temperature = Math.min(gen.temperature, maxTemperature(name));
+		if (settings.stop?.length) gen.stop = [...settings.stop];
+		// only gemini can be asked for several candidates at once
+		if (settings.candidates > 1 && svc instanceof GeminiService) gen.candidates = settings.candidates;
+		return gen;
+	}
+
+	/**
+	 * Providers to try for one request: the active one, then the fallbacks.
+	 * 
+	 * @returns {Array<string>} Provider keys in order
+	 */
+	chain() {
+		const rest = this.policy.fallback.filter(p => p !== this.current && p in this.services);
+		return [this.current, ...rest];
 	}
 
 	/**
-	 * Send a message to the currently active AI provider.
+	 * Send a message to the currently active AI provider, retrying transient
+	 * failures and falling back along the policy chain. The provider that
+	 * answered is left in `lastProvider`.
 	 * 
 	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options passed through to the service
+	 * @param {Array<Object>} [options.history=[]] - Prior chat messages (e.g., Model.getState().messages)
+	 * @param {string} [options.system] - System prompt (each service maps it to its own field; omit for the service default)
+	 * @param {Object} [options.settings] - Conversation generation settings, resolved per provider with generationFor
+	 * @param {AbortSignal} [options.signal] - Cancels the request, including any retries
+	 * @param {Function} [options.onFinish] - Passed to services that report how a reply ended and the tokens it
+	 *   used (see GeminiService.reply)
 	 * @returns {Promise<string>} AI's response
-	 * @throws {Error} If active service throws (network error, invalid key, etc.)
+	 * @throws {AiError} The active provider's error when every option fails, or the abort reason when cancelled
+	 */
+	async reply(text, options = {}) {
+		const { signal } = options;
+		let firstErr = null;
+		for (const [i, name] of this.chain().entries()) {
+			for (let attempt = 0; ; attempt++) {
+				const dl = deadline(signal, this.timeoutFor(name), name);
+				try {
+					const generation = this.generationFor(name, options.settings);
+					const out = await this.services[name].reply(text, { ...options, generation, signal: dl.signal });
+					this.lastProvider = name;
+					return out;
+				} catch (raw) {
+					// a cancelled request is never retried
+					if (signal?.aborted) throw raw;
+					const err = this.attemptError(raw, dl, name);
+					const delay = this.retryDelay(err, attempt);
+					if (delay != null) {
+						await this.policy.sleep(delay, signal);
+						continue;
+					}
+					firstErr = firstErr || err;
+					// only transient failures of the active provider move down the chain
+					if (i === 0 && !this.isTransient(err)) throw err;
+					break;
+				} finally {
+					dl.done();
+				}
+			}
+		}
+		throw firstErr;
+	}
+
+	/**
+	 * Stream a reply from the currently active provider as an async iterator.
+	 * Services without a `stream` method yield their full reply as one chunk.
+	 * Retries and fallbacks apply until the first chunk arrives; after that a
+	 * failure is thrown, since the partial text has already been shown.
+	 * 
+	 * @param {string} text - User's message
+	 * @param {Object} [options] - Request options passed through to the service
+	 * @param {string} [options.system] - System prompt (see reply)
+	 * @param {Object} [options.settings] - Conversation generation settings (see reply)
+	 * @param {AbortSignal} [options.signal] - Cancels the stream, including any retries
+	 * @param {Function} [options.onFinish] - Passed to services that report how a reply ended (see reply)
+	 * @yields {string} Response chunks in order
+	 * @throws {AiError} The active provider's error when every option fails, or the abort reason when cancelled
 	 */
-	async reply(text) {
-		return this.service.reply(text);
+	async *stream(text, options = {}) {
+		const { signal } = options;
+		let firstErr = null;
+		for (const [i, name] of this.chain().entries()) {
+			const svc = this.services[name];
+			for (let attempt = 0; ; attempt++) {
+				const dl = deadline(signal, this.timeoutFor(name), name);
+				const opts = { ...options, generation: this.generationFor(name, options.settings), signal: dl.signal };
+				let started = false;
+				try {
+					if (typeof svc.stream === 'function') {
+						for await (const chunk of svc.stream(text, opts)) {
+							dl.touch();
+							if (!started) this.lastProvider = name;
+							started = true;
+							yield chunk;
+						}
+					} else {
+						const out = await svc.reply(text, opts);
+						started = true;
+						this.lastProvider = name;
+						yield out;
+					}
+					if (!started) this.lastProvider = name;
+					return;
+				} catch (raw) {
+					if (signal?.aborted) throw raw;
+					const err = this.attemptError(raw, dl, name);
+					if (started) throw err;
+					const delay = this.retryDelay(err, attempt);
+					if (delay != null) {
+						await this.policy.sleep(delay, signal);
+						continue;
+					}
+					firstErr = firstErr || err;
+					if (i === 0 && !this.isTransient(err)) throw err;
+					break;
+				} finally {
+					dl.done();
+				}
+			}
+		}
+		throw firstErr;
 	}
-}
\ No newline at end of file
+}
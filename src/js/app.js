@@ -1,27 +1,44 @@
 // initialize mvc on dom ready
-import { Model } from './model.js';
+import { ConversationManager } from './conversations.js';
+import { openStorage } from './storage.js';
 import { View } from './view.js';
 import { Controller } from './controller.js';
-import { AiRouter, ElizaService, GeminiService } from './ai.js';
+import { PersonaStore } from './personas.js';
+import { UsageStore } from './usage.js';
+import { AiRouter, ElizaService, GeminiService, ClaudeService, OpenAiCompatService } from './ai.js';
 import { config } from './config.js';
 
-window.addEventListener('DOMContentLoaded', () => {
-	// build model and view
-	const model = new Model();
+window.addEventListener('DOMContentLoaded', async () => {
+	// build conversations (one model each, saved to indexeddb when available) and view
+	const storage = await openStorage();
+	const conversations = new ConversationManager({ storage });
+	await conversations.ready;
 	const view = new View();
 
 	// get api keys from config
 	const geminiKey = config.GEMINI_KEY;
+	const claudeKey = config.CLAUDE_KEY;
 
-	// set up ai service router with default eliza
+	// set up ai service router with default eliza; transient cloud failures
+	// fall back to a local model, then to eliza
 	const ai = new AiRouter({
 		eliza: new ElizaService(),
 			gemini: new GeminiService({ 
 				apiKey: geminiKey,
 				model: 'gemini-2.5-pro-preview-03-25'
+			}),
+			claude: new ClaudeService({
+				apiKey: claudeKey,
+				model: 'claude-haiku-4-5-20251001',
+				system: 'You are a concise assistant.'
+			}),
+			ollama: new OpenAiCompatService({
+				baseUrl: config.OLLAMA_URL,
+				model: config.OLLAMA_MODEL,
+				provider: 'ollama'
 			})
-	}, 'eliza');
+	}, 'eliza', { fallback: ['ollama', 'eliza'] });
 
-	// hand everything to the controller
-	new Controller(model, view, ai);
+	// hand everything to the controller, with the saved personas and usage prices
+	new Controller(conversations, view, ai, new PersonaStore(), new UsageStore());
 });
\ No newline at end of file
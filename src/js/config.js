@@ -3,6 +3,13 @@
 export const config = {
   // saved by the controller under this key
   GEMINI_KEY: typeof window !== 'undefined' ? (localStorage.getItem('ai_gemini_api_key') || '') : '',
-  // set to proxy URL to route cloud requests (leave empty to call direct)
-  LOCAL_PROXY: ''
+  CLAUDE_KEY: typeof window !== 'undefined' ? (localStorage.getItem('ai_claude_api_key') || '') : '',
+  // openai-compatible server for self-hosted models (ollama by default) and the last model picked
+  OLLAMA_URL: typeof window !== 'undefined' ? (localStorage.getItem('ai_ollama_url') || 'http://localhost:11434/v1') : 'http://localhost:11434/v1',
+  OLLAMA_MODEL: typeof window !== 'undefined' ? (localStorage.getItem('ai_ollama_model') || '') : '',
+  // set to proxy URL to route cloud requests (leave empty to call direct),
+  // e.g. 'http://localhost:8787' for `npm run proxy`; can also be saved under ai_local_proxy
+  LOCAL_PROXY: typeof window !== 'undefined' ? (localStorage.getItem('ai_local_proxy') || '') : '',
+  // max characters of prior conversation sent with each cloud request (oldest turns trimmed first)
+  HISTORY_BUDGET: 8000
 };
\ No newline at end of file
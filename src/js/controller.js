@@ -1,3 +1,40 @@
+import { config } from './config.js';
+import { SCHEMA_VERSION, summarizeReport } from './schema.js';
+import { readExport, summarizeSkipped } from './importers.js';
+import { SearchIndex } from './search.js';
+import { PersonaStore } from './personas.js';
+import { MODEL_CHOICES, cleanSettings, isDefault, describeSettings, maxTemperature } from './generation.js';
+import { AuthError, RateLimitError, QuotaError, NetworkError, SafetyError, TimeoutError } from './errors.js';
+import { UsageStore, summarizeUsage, addUsage, dayOf, parsePrices, formatPrices } from './usage.js';
+
+/**
+ * Cloud providers that need an API key, mapped to the localStorage key it is saved under.
+ */
+const KEYED_PROVIDERS = {
+	gemini: 'ai_gemini_api_key',
+	claude: 'ai_claude_api_key'
+};
+
+/**
+ * How long key checks and model discovery may take before giving up (ms).
+ */
+const SETUP_TIMEOUT = 15000;
+
+/**
+ * Wait suggested after a rate limit when the provider gives no hint (ms).
+ */
+const RATE_LIMIT_WAIT = 20000;
+
+/**
+ * What a reply cut off at the token limit is followed up with.
+ */
+const CONTINUE_PROMPT = 'continue exactly where you stopped, without repeating anything.';
+
+/**
+ * Proxy URL offered when a provider can't be reached (`npm run proxy` listens here).
+ */
+const DEFAULT_PROXY = 'http://localhost:8787';
+
 /**
  * Controller - coordinates user actions between view and model, and manages AI provider switching.
  * Implements the MVC pattern's controller layer: handles user input, updates model, and orchestrates AI interactions.
@@ -8,53 +45,151 @@ export class Controller {
 	/**
 	 * Create a controller instance.
 	 * 
-	 * @param {Model} model - The data model managing chat messages
+	 * @param {ConversationManager} conversations - Named conversations, each with its own Model (already `ready`)
 	 * @param {View} view - The UI view handling DOM rendering
 	 * @param {AiRouter} ai - The AI router for provider management
+	 * @param {PersonaStore} [personas] - Saved personas (system prompts) chats can pick from
+	 * @param {UsageStore} [usage] - Price table and daily budget for token usage
 	 */
-	constructor(model, view, ai) {
-		this.model = model;
+	constructor(conversations, view, ai, personas = new PersonaStore(), usage = new UsageStore()) {
+		this.conversations = conversations;
 		this.view = view;
 		this.ai = ai;
+		this.personas = personas;
+		this.usage = usage;
+
+		// day on which sending past the budget was allowed, so it is asked once a day
+		this.budgetAccepted = null;
 
 		// track if we're editing a prior user message inline
 		this.editingId = null;
 
-		// subscribe view to model updates
-		this.model.onChange(s => this.view.render(s));
+		// models discovered per self-hosted provider
+		this.models = {};
+
+		// abort controller for the reply currently in flight, and a promise
+		// that resolves once that reply is settled in the model
+		this.inflight = null;
+		this.settled = Promise.resolve();
+		// set while a new reply waits on the budget check (see claimReply)
+		this.claiming = false;
+
+		// search across conversations: the index, the latest query's
+		// { needles, results, index } (null when no search is set), and a
+		// counter so a slow search can't overwrite a newer one
+		this.search = new SearchIndex();
+		this.searchState = null;
+		this.searchRun = 0;
+
+		// subscribe view to the open conversation and the conversation list
+		this.conversations.onActiveChange(s => this.view.render(s));
+		this.conversations.onChange(s => {
+			this.view.renderConversations(s);
+			this.showPersona();
+			this.showSettings();
+		});
 
 		// wire view events
 		this.view.onSend = t => this.handleSend(t);
 		this.view.onEdit = id => this.handleEditPrompt(id);
 		this.view.onDelete = id => this.handleDelete(id);
-		this.view.onExport = () => this.handleExport();
-		this.view.onImport = j => this.handleImport(j);
+		this.view.onExport = format => this.handleExport(format);
+		this.view.onImport = (text, name) => this.handleImport(text, name);
 		this.view.onClear = () => this.handleClear();
+		this.view.onStop = () => this.handleStop();
+		this.view.onRegenerate = id => this.handleRegenerate(id);
+		this.view.onContinue = id => this.handleContinue(id);
+		this.view.onVersion = (id, step) => this.handleVersion(id, step);
+		this.view.onBranch = (id, step) => this.handleBranch(id, step);
 
 		// provider menu change
 		this.view.onAiChange = provider => this.handleProviderChange(provider);
+		this.view.onModelChange = name => this.handleModelChange(name);
+
+		// persona of the open chat, and the persona manager
+		this.view.onPersonaChange = id => this.conversations.setPersona(this.conversations.activeId, id);
+		this.view.onManagePersonas = () => this.handleManagePersonas();
+		this.view.onExportPersonas = () => this.view.download('personas.json', this.personas.exportJson());
+		this.view.onImportPersonas = text => this.handleImportPersonas(text);
+
+		// models and sampling settings of the open chat
+		this.view.onSettings = () => this.handleSettings();
+		this.view.onUsage = () => this.handleUsage();
+
+		// conversation sidebar
+		this.view.onNewConversation = () => this.handleNewConversation();
+		this.view.onOpenConversation = id => this.handleOpenConversation(id);
+		this.view.onRenameConversation = id => this.handleRenameConversation(id);
+		this.view.onDuplicateConversation = id => this.handleDuplicateConversation(id);
+		this.view.onPinConversation = id => this.conversations.togglePin(id);
+		this.view.onDeleteConversation = id => this.handleDeleteConversation(id);
+
+		// search
+		this.view.onSearch = (query, filters) => this.handleSearch(query, filters);
+		this.view.onSearchStep = step => this.handleSearchStep(step);
+		this.view.onSearchPick = index => this.handleSearchPick(index);
 
 		// keyboard helpers from the view
+		this.view.onUndo = () => this.handleUndo();
+		this.view.onRedo = () => this.handleRedo();
 		this.view.onClearInput = () => this.view.clearInput();
 		this.view.onCancelEdit = () => this.cancelInlineEdit();
 		this.view.onEditLast = () => this.editLastMessageInline();
 
 		// seed greeting if empty
-		if (this.model.getState().messages.length === 0) {
-			this.model.addMessage("hello! i'm your eliza assistant. how can i help you today?", 'bot');
+		this.greet();
+		if (this.conversations.migrationError) {
+			this.view.showToast(`your earlier chat could not be moved (${this.conversations.migrationError}). it is kept and will be tried again next time.`, null, null, 10000);
 		}
 
 		// first paint
 		this.view.render(this.model.getState());
-		this.view.setProviderUI(this.ai.provider);
+		this.view.renderConversations(this.conversations.getState());
+		this.showProvider(this.ai.provider);
+		this.showPersona();
+		this.showSettings();
 		this.view.focusInput();
 	}
 
+	/**
+	 * The Model of the open conversation.
+	 * 
+	 * @returns {Model} Active model
+	 */
+	get model() {
+		return this.conversations.active;
+	}
+
+	/**
+	 * The persona the open conversation uses.
+	 * 
+	 * @returns {Object|undefined} { id, name, prompt }, or undefined for none
+	 */
+	get persona() {
+		return this.personas.find(this.conversations.find(this.conversations.activeId)?.persona);
+	}
+
+	/**
+	 * Generation settings of the open conversation.
+	 * 
+	 * @returns {Object} { models, temperature, topP, maxTokens, stop, candidates } (see cleanSettings)
+	 */
+	get settings() {
+		return cleanSettings(this.conversations.find(this.conversations.activeId)?.settings);
+	}
+
+	// seed the greeting into an empty conversation
+	greet() {
+		if (this.model.getState().messages.length === 0) {
+			this.model.addMessage("hello! i'm your eliza assistant. how can i help you today?", 'bot');
+		}
+	}
+
 	/**
 	 * Handle AI provider switching with key validation.
 	 * Prompts for API key if needed, validates it, and persists to localStorage.
 	 * 
-	 * @param {string} provider - Provider name ('eliza', 'gemini', etc.)
+	 * @param {string} provider - Provider name ('eliza', 'gemini', 'claude', etc.)
 	 */
 	async handleProviderChange(provider) {
 		// keep previous provider so we can revert on invalid key
@@ -65,97 +200,263 @@ export class Controller {
 			if (!this.ai.services || !(provider in this.ai.services)) throw new Error('unknown provider');
 		} catch (e) {
 			this.view.alert(e.message || 'unknown provider');
-			this.view.setProviderUI(prev);
+			this.showProvider(prev);
 			return;
 		}
 
-		// cloud providers require an api key. for gemini, if we already have one
-		// (either in-memory or in localStorage), reuse it without prompting.
+		// cloud providers require an api key. if we already have one (either
+		// in-memory or in localStorage), reuse it without prompting.
 		// otherwise, prompt the user once and persist it.
 
-		if (provider === 'gemini') {
-			const svcG = this.ai.services.gemini;
-			let key = (svcG && svcG.apiKey) || '';
+		// with a local proxy the keys live server-side, so never prompt for them
+
+		const storageKey = KEYED_PROVIDERS[provider];
+		if (storageKey && !config.LOCAL_PROXY) {
+			const svc = this.ai.services[provider];
+			let key = (svc && svc.apiKey) || '';
 			if (!key && typeof window !== 'undefined') {
-				key = localStorage.getItem('ai_gemini_api_key') || '';
-				if (key) this.ai.setGeminiKey(key);
+				key = localStorage.getItem(storageKey) || '';
+				if (key) this.ai.setKey(provider, key);
 			}
 
 			if (!key) {
 				// no stored key yet: ask the user once
-				this.view.alert('please enter your gemini api key to continue.');
-				const fromUser = this.view.prompt('enter your gemini api key:', '');
+				this.view.alert(`please enter your ${provider} api key to continue.`);
+				const fromUser = this.view.prompt(`enter your ${provider} api key:`, '');
 				if (!fromUser) {
 					this.view.alert('no key entered. staying on ' + prev + '.');
-					this.view.setProviderUI(prev);
+					this.showProvider(prev);
 					return;
 				}
 				key = fromUser.trim();
-				this.ai.setGeminiKey(key);
+				this.ai.setKey(provider, key);
 			}
 
 			// optimistic switch
 			this.ai.provider = provider;
-			this.view.setProviderUI(provider);
+			this.showProvider(provider);
 
 			(async () => {
 				try {
-					const ok = await svcG.validateKey();
+					const ok = await svc.validateKey({ signal: AbortSignal.timeout(SETUP_TIMEOUT) });
 					if (!ok) {
 						// invalid key: clear stored/in-memory key and allow immediate retry
-						if (typeof window !== 'undefined') localStorage.removeItem('ai_gemini_api_key');
-						this.ai.setGeminiKey('');
+						if (typeof window !== 'undefined') localStorage.removeItem(storageKey);
+						this.ai.setKey(provider, '');
 						// prompt user to try again once
-						this.view.alert('gemini: api key rejected. please enter a new key.');
-						const retry = this.view.prompt('enter your gemini api key:', '');
+						this.view.alert(`${provider}: api key rejected. please enter a new key.`);
+						const retry = this.view.prompt(`enter your ${provider} api key:`, '');
 						if (retry) {
 							const newKey = String(retry).trim();
 							if (newKey) {
-								this.ai.setGeminiKey(newKey);
-								// keep UI on gemini while retrying
-								this.ai.provider = 'gemini';
-								this.view.setProviderUI('gemini');
+								this.ai.setKey(provider, newKey);
+								// keep UI on this provider while retrying
+								this.ai.provider = provider;
+								this.showProvider(provider);
 								let ok2 = false;
-								try { ok2 = await svcG.validateKey(); } catch { ok2 = false; }
+								try { ok2 = await svc.validateKey({ signal: AbortSignal.timeout(SETUP_TIMEOUT) }); } catch { ok2 = false; }
 								if (ok2) {
-									if (typeof window !== 'undefined') localStorage.setItem('ai_gemini_api_key', newKey);
-									return; // stay on gemini, success
+									if (typeof window !== 'undefined') localStorage.setItem(storageKey, newKey);
+									return; // stay on this provider, success
 								} else {
 									// second failure: revert and notify
-									if (typeof window !== 'undefined') localStorage.removeItem('ai_gemini_api_key');
-									this.ai.setGeminiKey('');
+									if (typeof window !== 'undefined') localStorage.removeItem(storageKey);
+									this.ai.setKey(provider, '');
 								}
 							}
 						}
 						// revert to previous provider
 						this.ai.provider = prev;
-						this.view.setProviderUI(prev);
-						this.view.alert('gemini: api key rejected. reverted to ' + prev + '.');
+						this.showProvider(prev);
+						this.view.alert(`${provider}: api key rejected. reverted to ${prev}.`);
 						return;
 					}
 					// success: persist key for future sessions
 					if (typeof window !== 'undefined') {
-						localStorage.setItem('ai_gemini_api_key', key);
+						localStorage.setItem(storageKey, key);
 					}
 				} catch (err) {
-					// network/CORS error — do not persist unvalidated keys
-					if (typeof window !== 'undefined') localStorage.removeItem('ai_gemini_api_key');
-					this.ai.setGeminiKey('');
+					// the check itself failed — do not persist unvalidated keys
+					if (typeof window !== 'undefined') localStorage.removeItem(storageKey);
+					this.ai.setKey(provider, '');
 					this.ai.provider = prev;
-					this.view.setProviderUI(prev);
-					this.view.alert('network/CORS error validating gemini key — consider running a local proxy. ' + (err?.message || ''));
+					this.showProvider(prev);
+					if (err instanceof NetworkError) {
+						this.view.alert(`could not reach ${provider} to check the key (network or CORS). a local proxy avoids this: run \`npm run proxy\` and set its url. ` + err.message);
+					} else if (err instanceof TimeoutError) {
+						this.view.alert(`${provider} did not answer the key check in time. staying on ${prev}; please try again.`);
+					} else {
+						this.view.alert(`could not check the ${provider} key. staying on ${prev}. ` + (err?.message || ''));
+					}
 				}
 			})();
+		} else if (typeof this.ai.services[provider].listModels === 'function') {
+			// self-hosted servers need no key, but we must find a model to talk to
+			const svc = this.ai.services[provider];
+			try {
+				const models = await svc.listModels({ signal: AbortSignal.timeout(SETUP_TIMEOUT) });
+				if (!models.length) throw new Error('no models installed.');
+				if (!models.includes(svc.model)) svc.setModel(models[0]);
+				this.models[provider] = models;
+				this.ai.provider = provider;
+				this.showProvider(provider);
+			} catch (err) {
+				this.showProvider(prev);
+				this.view.alert(`could not load models from ${svc.baseUrl}. staying on ${prev}. ` + (err?.message || ''));
+			}
 		} else {
 			// other providers (eliza, etc.) — just switch
 			this.ai.provider = provider;
-			this.view.setProviderUI(provider);
+			this.showProvider(provider);
 		}
 	}
 
+	/**
+	 * Pick a different model on the active self-hosted provider and remember it.
+	 * 
+	 * @param {string} name - Model id from the model menu
+	 */
+	handleModelChange(name) {
+		const svc = this.ai.service;
+		if (!svc?.setModel || !name) return;
+		svc.setModel(name);
+		if (typeof window !== 'undefined') localStorage.setItem(`ai_${this.ai.provider}_model`, name);
+	}
+
+	// sync the persona menu with the open chat
+	showPersona() {
+		this.view.setPersonaOptions(this.personas.list(), this.persona?.id || null);
+	}
+
+	// mark the settings button when the open chat changes provider defaults
+	showSettings() {
+		const settings = this.settings;
+		const { models, ...sampling } = settings;
+		const picked = Object.entries(models).map(([name, id]) => `${name}: ${id}`);
+		this.view.setSettingsUI(isDefault(settings) ? '' : [...picked, describeSettings(sampling)].filter(Boolean).join(' · '));
+	}
+
+	/**
+	 * Open the settings panel and save what the user picks for the open chat.
+	 * Blank fields fall back to each provider's default.
+	 */
+	async handleSettings() {
+		const providers = Object.entries(this.ai.services)
+			.filter(([, svc]) => 'model' in svc)
+			.map(([name, svc]) => ({ name, model: svc.model, choices: MODEL_CHOICES[name] || this.models[name] || [] }));
+		const raw = await this.view.editSettings(this.settings, providers, maxTemperature(this.ai.provider));
+		if (!raw) return;
+		const next = cleanSettings(raw);
+		this.conversations.setSettings(this.conversations.activeId, isDefault(next) ? null : next);
+	}
+
+	/**
+	 * Check that a new reply may start: none is in flight or waiting on the
+	 * budget check, and the budget allows it. Callers start the reply right
+	 * after, without awaiting in between, so a second submit is turned away.
+	 * 
+	 * @returns {Promise<boolean>} True to go ahead with the request
+	 */
+	async claimReply() {
+		if (this.inflight || this.claiming) return false;
+		this.claiming = true;
+		try {
+			return await this.withinBudget();
+		} finally {
+			this.claiming = false;
+		}
+	}
+
+	/**
+	 * Before a request to a priced model, check today's priced usage across
+	 * every chat against the daily budget. The budget is soft: past it the
+	 * user is asked once a day whether to send anyway.
+	 * 
+	 * @returns {Promise<boolean>} True to go ahead with the request
+	 */
+	async withinBudget() {
+		const { tokens, cost } = this.usage.budget;
+		if (tokens == null && cost == null) return true;
+		// eliza has no model, and local models have no entry in the price table
+		const model = this.ai.generationFor(this.ai.provider, this.settings)?.model;
+		if (!model || !this.usage.prices[model]) return true;
+		const today = dayOf(Date.now());
+		if (this.budgetAccepted === today) return true;
+		const { days } = summarizeUsage(await this.conversations.loadAll(), this.usage.prices);
+		const row = days.find(d => d.day === today);
+		const over = this.usage.overBudget(row);
+		if (!over.length) return true;
+		const limits = over.map(k => k === 'tokens' ? `${tokens.toLocaleString()} tokens` : `$${cost.toFixed(2)}`).join(' and ');
+		const spent = `${row.priced.toLocaleString()} tokens ($${row.cost.toFixed(2)})`;
+		if (!this.view.confirm(`today's usage (${spent}) has reached the daily budget of ${limits}. send anyway?`)) return false;
+		this.budgetAccepted = today;
+		return true;
+	}
+
+	/**
+	 * Open the usage panel with totals over every chat, and save the budget
+	 * and prices the user enters.
+	 */
+	async handleUsage() {
+		const summary = summarizeUsage(await this.conversations.loadAll(), this.usage.prices);
+		const result = await this.view.showUsage(summary, formatPrices(this.usage.prices), this.usage.budget);
+		if (!result) return;
+		const { prices, skipped } = parsePrices(result.prices);
+		this.usage.setPrices(prices);
+		this.usage.setBudget(result.budget);
+		// a new budget deserves a fresh warning
+		this.budgetAccepted = null;
+		if (skipped.length) this.view.alert(`these price lines were not understood and were left out:\n${skipped.join('\n')}`);
+	}
+
+	/**
+	 * Open the persona manager and apply what the user saved or deleted. A
+	 * saved persona becomes the open chat's persona.
+	 */
+	async handleManagePersonas() {
+		const result = await this.view.editPersonas(this.personas.list(), this.persona?.id || null);
+		if (!result) return;
+		if (result.action === 'delete') {
+			const p = this.personas.find(result.id);
+			if (p && this.view.confirm(`delete the "${p.name}" persona? chats using it will have no persona.`)) this.personas.remove(p.id);
+		} else {
+			const saved = this.personas.save({ id: result.id, name: result.name, prompt: result.prompt });
+			if (saved) this.conversations.setPersona(this.conversations.activeId, saved.id);
+			else this.view.alert('a persona needs a name and a system prompt.');
+		}
+		this.showPersona();
+	}
+
+	/**
+	 * Import personas from an exported file; ones with a known ID are updated.
+	 * 
+	 * @param {string} text - File contents
+	 */
+	handleImportPersonas(text) {
+		const report = this.personas.importJson(text);
+		if (report.error) {
+			this.view.alert(`import failed: ${report.error}. please use a persona export.`);
+			return;
+		}
+		this.view.fillPersonaDialog(this.personas.list());
+		this.showPersona();
+		const skipped = report.skipped ? ` ${report.skipped} skipped (a name and a prompt are required).` : '';
+		this.view.alert(`imported ${report.added} new and ${report.updated} updated personas.${skipped}`);
+	}
+
+	/**
+	 * Sync the provider menu, and the model menu for providers with discovered models.
+	 * 
+	 * @param {string} provider - Provider to show as selected
+	 */
+	showProvider(provider) {
+		this.view.setProviderUI(provider);
+		this.view.setModelOptions(this.models[provider] || [], this.ai.services[provider]?.model);
+	}
+
 	/**
 	 * Handle sending a message or committing an inline edit.
-	 * Adds user message to model, gets AI response, and displays bot reply.
+	 * Adds user message to model, streams the AI response into the view, and stores the bot reply.
 	 * 
 	 * @param {string} text - User's message text
 	 */
@@ -165,28 +466,216 @@ export class Controller {
 
 		// commit inline edit if active
 		if (this.editingId) {
-			const ok = this.model.updateMessage(this.editingId, trimmed);
+			const id = this.editingId;
 			this.editingId = null;
 			this.view.clearInput();
 			this.view.focusInput();
-			if (!ok) return;
+			await this.commitEdit(id, trimmed);
 			return;
 		}
 
+		// one reply at a time
+		if (!(await this.claimReply())) return;
+
 		// add user message and clear the input immediately for a snappy UI
 		const user = this.model.addMessage(trimmed, 'user');
 		if (!user) return;
 		this.view.clearInput();
 		this.view.focusInput();
 
-		// get reply from active provider (async)
+		const history = this.model.historyBefore(user.id);
+		const reply = this.model.addPending({ provider: this.ai.provider });
+		await this.streamReply(reply.id, trimmed, history);
+	}
+
+	/**
+	 * Stream a reply into a pending bot message and settle it. Streamed text
+	 * only lives in the view (the typing indicator turns into it); the model
+	 * keeps the final reply.
+	 * 
+	 * @param {string} id - Pending bot message ID
+	 * @param {string} text - User text being answered
+	 * @param {Array<Object>} history - Earlier messages for context
+	 * @param {string} [prefix=''] - Text already in the reply, kept in front of what streams in
+	 */
+	async streamReply(id, text, history, prefix = '') {
+		const settings = this.settings;
+		// the provider asked, to tell when a fallback answered instead
+		const asked = this.ai.provider;
+		const ctrl = new AbortController();
+		this.inflight = ctrl;
+		let settle;
+		this.settled = new Promise(resolve => { settle = resolve; });
+		let full = '';
+		let failed = null;
+		// how the reply ended and any further candidates, for services that say
+		let details = null;
 		try {
-			const replyText = await this.ai.reply(trimmed);
-			this.model.addMessage(replyText, 'bot');
+			// without a persona each service keeps its own default system prompt
+			const system = this.persona?.prompt;
+			const onFinish = d => { details = d; };
+			for await (const chunk of this.ai.stream(text, { history, system, settings, signal: ctrl.signal, onFinish })) {
+				full += chunk;
+				this.view.updateStream(id, prefix + full);
+			}
+			// record which provider answered, since a fallback may have stepped
+			// in, and the settings it was asked with so the reply can be reproduced
+			const provider = this.ai.lastProvider;
+			const used = this.ai.generationFor(provider, settings) || undefined;
+			// a continued reply adds to the tokens it had already used
+			const before = this.model.getState().messages.find(m => m.id === id)?.usage;
+			this.model.finishReply(id, {
+				text: (prefix + full).trim() || 'sorry, i could not generate a response.',
+				status: 'done',
+				provider,
+				fallbackFrom: provider !== asked ? asked : undefined,
+				settings: used,
+				finish: details?.finish || undefined,
+				usage: addUsage(before, details?.usage || undefined)
+			});
+			// other candidates become versions of the reply to flip through
+			const alternatives = details?.alternatives || [];
+			if (alternatives.length) this.model.addVersions(id, alternatives.map(alt => ({ text: alt, provider, settings: used })));
 		} catch (err) {
-			// make errors visible but not fatal
-			this.model.addMessage(`(error: ${err?.message || 'ai call failed'})`, 'bot');
+			// keep any partial text; a provider only counts if it produced some
+			const provider = full.trim() ? this.ai.lastProvider : this.ai.provider;
+			const used = this.ai.generationFor(provider, settings) || undefined;
+			if (ctrl.signal.aborted) {
+				this.model.finishReply(id, { text: prefix + full, status: 'cancelled', provider, fallbackFrom: provider !== asked ? asked : undefined, settings: used });
+				return;
+			}
+			// make errors visible but not fatal, then offer a way out
+			this.model.finishReply(id, { text: prefix + full, status: 'error', provider, settings: used, error: err?.message || 'ai call failed' });
+			failed = { err, provider };
+		} finally {
+			this.view.endStream();
+			if (this.inflight === ctrl) this.inflight = null;
+			settle();
+		}
+		if (failed) await this.recoverFrom(failed.err, failed.provider, id);
+	}
+
+	/**
+	 * Offer what can be done about a failed reply, depending on the kind of
+	 * failure: ask for a new key, count down a rate limit, suggest the proxy,
+	 * or retry. Retrying regenerates the reply, keeping the failed one as a
+	 * version.
+	 * 
+	 * @param {Error} err - Error the reply failed with
+	 * @param {string} provider - Provider that failed
+	 * @param {string} id - Bot message ID
+	 */
+	async recoverFrom(err, provider, id) {
+		const retry = () => this.handleRegenerate(id);
+		if (err instanceof AuthError) {
+			await this.reenterKey(provider, id);
+		} else if (err instanceof RateLimitError) {
+			const text = left => left ? `${provider} is rate limiting requests. retry in ${left}s` : `${provider} should accept requests again.`;
+			this.view.showCountdown(text, err.retryAfter ?? RATE_LIMIT_WAIT, 'Retry', retry);
+		} else if (err instanceof QuotaError) {
+			this.view.showToast(`${provider} quota is used up. check your plan, or switch providers.`, 'Use Eliza', () => this.handleProviderChange('eliza'), 10000);
+		} else if (err instanceof NetworkError) {
+			this.view.showToast(`could not reach ${provider}. a local proxy avoids network and CORS problems.`, 'Set proxy', () => this.handleSetProxy(id), 10000);
+		} else if (err instanceof SafetyError) {
+			this.view.showToast(`${provider} would not answer this (${err.category || err.reason || 'safety'}). try rephrasing.`);
+		} else {
+			// timeouts, unreadable replies and other provider errors
+			const what = err instanceof TimeoutError ? 'took too long to answer' : 'had a problem answering';
+			this.view.showToast(`${provider} ${what}.`, 'Retry', retry);
+		}
+	}
+
+	/**
+	 * After a rejected or missing key, forget it and ask for a new one, then
+	 * retry the reply. With a proxy the keys live server-side, so only say so.
+	 * 
+	 * @param {string} provider - Provider whose key failed
+	 * @param {string} id - Bot message ID to retry
+	 */
+	async reenterKey(provider, id) {
+		const storageKey = KEYED_PROVIDERS[provider];
+		if (!storageKey || config.LOCAL_PROXY) {
+			this.view.showToast(`${provider} rejected the api key. check the key your proxy uses.`);
+			return;
+		}
+		if (typeof window !== 'undefined') localStorage.removeItem(storageKey);
+		this.ai.setKey(provider, '');
+		const next = this.view.prompt(`${provider} rejected the api key. enter a new key to retry:`, '');
+		const key = String(next || '').trim();
+		if (!key) return;
+		this.ai.setKey(provider, key);
+		if (typeof window !== 'undefined') localStorage.setItem(storageKey, key);
+		await this.handleRegenerate(id);
+	}
+
+	/**
+	 * Ask for a local proxy URL (saved for next time), then retry the reply.
+	 * An empty URL goes back to calling providers directly.
+	 * 
+	 * @param {string} id - Bot message ID to retry
+	 */
+	async handleSetProxy(id) {
+		const next = this.view.prompt('local proxy url (start one with `npm run proxy`; leave empty to call providers directly):', config.LOCAL_PROXY || DEFAULT_PROXY);
+		if (next == null) return;
+		const url = String(next).trim();
+		config.LOCAL_PROXY = url;
+		if (typeof window !== 'undefined') {
+			if (url) localStorage.setItem('ai_local_proxy', url);
+			else localStorage.removeItem('ai_local_proxy');
 		}
+		await this.handleRegenerate(id);
+	}
+
+	// abort the in-flight reply, if any
+	handleStop() {
+		this.inflight?.abort();
+	}
+
+	/**
+	 * Ask the active provider again for a bot reply, keeping the old answer
+	 * as a sibling version. The context is the conversation up to the user
+	 * message that reply answers.
+	 * 
+	 * @param {string} id - Bot message ID
+	 */
+	async handleRegenerate(id) {
+		if (!(await this.claimReply())) return;
+		const msgs = this.model.getState().messages;
+		const i = msgs.findIndex(m => m.id === id);
+		const asked = msgs.slice(0, i).reverse().find(m => m.role === 'user');
+		if (i < 0 || !asked) return;
+		if (!this.model.beginVersion(id, { provider: this.ai.provider })) return;
+		await this.streamReply(id, asked.text, this.model.historyBefore(asked.id));
+	}
+
+	/**
+	 * Carry on a reply that was cut off at the token limit: the model sees
+	 * its own partial answer and is asked to continue, and the new text is
+	 * added to the same reply.
+	 * 
+	 * @param {string} id - Bot message ID
+	 */
+	async handleContinue(id) {
+		const m = this.model.getState().messages.find(x => x.id === id);
+		if (m?.finish?.reason !== 'length') return;
+		if (!(await this.claimReply())) return;
+		const history = [...this.model.historyBefore(id), m];
+		if (!this.model.resumeReply(id)) return;
+		// seed the stream with the text so far so it stays on screen
+		this.view.updateStream(id, m.text);
+		await this.streamReply(id, CONTINUE_PROMPT, history, m.text);
+	}
+
+	/**
+	 * Flip to the previous/next version of a bot reply.
+	 * 
+	 * @param {string} id - Bot message ID
+	 * @param {number} step - -1 for older, +1 for newer
+	 */
+	handleVersion(id, step) {
+		const msg = this.model.getState().messages.find(m => m.id === id);
+		if (!msg?.versions) return;
+		this.model.selectVersion(id, msg.version + step);
 	}
 
 	// simple prompt-based editing when clicking the edit button
@@ -195,27 +684,281 @@ export class Controller {
 		if (!msg || msg.role !== 'user') return;
 		const next = this.view.prompt('edit your message:', msg.text);
 		if (next == null) return;
-		this.model.updateMessage(id, String(next));
+		this.commitEdit(id, String(next));
 	}
 
+	/**
+	 * Apply an edit to a user message. When later messages depend on it,
+	 * offer to fork instead: the old exchange is kept as a branch and the
+	 * edited message is answered afresh.
+	 * 
+	 * @param {string} id - User message ID
+	 * @param {string} text - New message text
+	 * @returns {Promise<boolean>} True if the message was updated or forked
+	 */
+	async commitEdit(id, text) {
+		const msgs = this.model.getState().messages;
+		const i = msgs.findIndex(m => m.id === id);
+		const hasTail = i >= 0 && i < msgs.length - 1;
+		if (hasTail && !this.inflight && this.view.confirm('re-run the conversation from this message? the current replies are kept as a branch. (cancel only updates the text)')) {
+			if (!this.model.forkAt(id, text)) return false;
+			const reply = this.model.addPending({ provider: this.ai.provider });
+			await this.streamReply(reply.id, String(text).trim(), this.model.historyBefore(id));
+			return true;
+		}
+		return this.model.updateMessage(id, text);
+	}
+
+	/**
+	 * Flip a forked user message to its previous/next branch.
+	 * 
+	 * @param {string} id - User message ID
+	 * @param {number} step - -1 for older, +1 for newer
+	 */
+	handleBranch(id, step) {
+		const msg = this.model.getState().messages.find(m => m.id === id);
+		if (!msg?.branches || this.inflight) return;
+		this.cancelInlineEdit();
+		this.model.selectBranch(id, msg.branch + step);
+	}
+
+	// deleting and clearing don't ask first; they can be undone from the toast
 	handleDelete(id) {
-		if (!this.view.confirm('delete this message?')) return;
-		this.model.deleteMessage(id);
+		if (!this.model.deleteMessage(id)) return;
+		this.view.showToast('Message deleted', 'Undo', () => this.handleUndo());
 	}
 
-	handleClear() {
-		if (!this.view.confirm('clear all messages?')) return;
+	async handleClear() {
+		// let a streaming reply settle as stopped first, so undo brings it back finished
+		if (this.inflight) {
+			const settled = this.settled;
+			this.handleStop();
+			await settled;
+		}
 		this.model.clearAll();
 		this.cancelInlineEdit();
+		this.view.showToast('Chat cleared', 'Undo', () => this.handleUndo());
+	}
+
+	/**
+	 * Undo the latest change to the open chat (not while a reply is streaming).
+	 */
+	handleUndo() {
+		if (this.inflight) return;
+		const label = this.model.undo();
+		if (label) this.view.showToast(`Undone: ${label}`, 'Redo', () => this.handleRedo());
+	}
+
+	// redo the latest undone change
+	handleRedo() {
+		if (this.inflight) return;
+		const label = this.model.redo();
+		if (label) this.view.showToast(`Redone: ${label}`, 'Undo', () => this.handleUndo());
+	}
+
+	/**
+	 * Conversations can't change while a reply streams into the open one.
+	 * 
+	 * @returns {boolean} True if switching is allowed
+	 */
+	canSwitch() {
+		if (!this.inflight) return true;
+		this.view.alert('please wait for the reply to finish (or stop it) first.');
+		return false;
+	}
+
+	async handleNewConversation() {
+		if (!this.canSwitch()) return;
+		await this.conversations.create();
+		this.cancelInlineEdit();
+		this.greet();
+	}
+
+	async handleOpenConversation(id) {
+		if (id === this.conversations.activeId || !this.canSwitch()) return;
+		await this.conversations.open(id);
+		this.cancelInlineEdit();
+		this.greet();
 	}
 
-	handleExport() {
+	handleRenameConversation(id) {
+		const c = this.conversations.find(id);
+		if (!c) return;
+		const next = this.view.prompt('rename this chat:', c.title);
+		if (next == null) return;
+		this.conversations.rename(id, next);
+	}
+
+	async handleDuplicateConversation(id) {
+		if (!this.canSwitch()) return;
+		await this.conversations.duplicate(id);
+		this.cancelInlineEdit();
+	}
+
+	async handleDeleteConversation(id) {
+		const c = this.conversations.find(id);
+		if (!c || !this.canSwitch()) return;
+		if (!this.view.confirm(`delete "${c.title}" and all its messages?`)) return;
+		await this.conversations.remove(id);
+		this.cancelInlineEdit();
+		this.greet();
+	}
+
+	/**
+	 * Search every conversation. An empty query with no filters ends the
+	 * search and brings the conversation list back.
+	 * 
+	 * @param {string} query - Words and "phrases" to find (case-insensitive)
+	 * @param {Object} [filters={}] - { role, provider, from, to } (see SearchIndex.query)
+	 */
+	async handleSearch(query, filters = {}) {
+		const run = ++this.searchRun;
+		const chats = await this.conversations.loadAll();
+		if (run !== this.searchRun) return;
+		chats.forEach(c => this.search.update(c.id, c.title, c.messages));
+		this.search.retain(chats.map(c => c.id));
+
+		const filtered = Object.values(filters).some(v => v !== '' && v != null);
+		if (!String(query || '').trim() && !filtered) {
+			this.searchState = null;
+			this.view.setSearchHighlight(null, null);
+		} else {
+			const { needles, results } = this.search.query(query, filters);
+			this.searchState = { needles, results, index: -1 };
+			this.view.setSearchHighlight(needles, null);
+		}
+		this.view.renderSearch(this.searchState, this.search.providers());
+		this.view.render(this.model.getState());
+	}
+
+	/**
+	 * Go to the next/previous search result, wrapping around.
+	 * 
+	 * @param {number} step - 1 for next, -1 for previous
+	 */
+	handleSearchStep(step) {
+		const s = this.searchState;
+		const n = s?.results.length;
+		if (!n) return;
+		const index = s.index < 0 ? (step > 0 ? 0 : n - 1) : (s.index + step + n) % n;
+		this.handleSearchPick(index);
+	}
+
+	/**
+	 * Open the conversation holding a search result and bring the message into view.
+	 * 
+	 * @param {number} index - Result index
+	 */
+	async handleSearchPick(index) {
+		const s = this.searchState;
+		const hit = s?.results[index];
+		if (!hit) return;
+		const here = hit.chatId === this.conversations.activeId;
+		if (!here && !this.canSwitch()) return;
+		this.view.setSearchHighlight(s.needles, hit.id);
+		if (here) {
+			this.view.render(this.model.getState());
+		} else {
+			if (!await this.conversations.open(hit.chatId)) return;
+			// keep focus in the search box so the arrow keys keep working
+			this.editingId = null;
+			this.view.clearInput();
+		}
+		if (this.searchState !== s) return;
+		s.index = index;
+		this.view.renderSearch(s, this.search.providers());
+	}
+
+	/**
+	 * Download the open conversation.
+	 * 
+	 * @param {string} [format='json'] - 'json' (full fidelity) or 'markdown' (readable, current branch only)
+	 */
+	handleExport(format = 'json') {
+		if (format === 'markdown') {
+			const title = this.conversations.find(this.conversations.activeId)?.title;
+			this.view.download('chat-export.md', this.model.exportMarkdown(title), 'text/markdown');
+			return;
+		}
 		this.view.download('chat-export.json', this.model.exportJson());
 	}
 
-	handleImport(json) {
-		const ok = this.model.importJson(json);
-		if (!ok) this.view.alert('import failed. please use a valid file.');
+	/**
+	 * Import a file into the open conversation. Markdown is recognized by its
+	 * extension or by not looking like JSON; exports from other chat tools are
+	 * added as new conversations instead. When the chat already has messages
+	 * the user sees what a merge would add and picks merge or replace.
+	 * 
+	 * @param {string} text - File contents
+	 * @param {string} [name=''] - File name
+	 */
+	async handleImport(text, name = '') {
+		const markdown = /\.(md|markdown|txt)$/i.test(name) || !/^\s*[{[]/.test(text);
+		if (!markdown) {
+			let found = null;
+			try { found = readExport(JSON.parse(text)); } catch { found = null; }
+			if (found) {
+				await this.importConversations(found);
+				return;
+			}
+		}
+
+		const read = options => markdown ? this.model.importMarkdown(text, options) : this.model.importJson(text, options);
+		const preview = read({ mode: 'merge', dryRun: true });
+		if (preview.error) {
+			this.view.alert(`import failed: ${preview.error}. please use a valid file.`);
+			return;
+		}
+		const current = this.model.getState().count;
+		const mode = current ? await this.view.chooseImportMode(preview, current) : 'replace';
+		if (!mode) return;
+
+		const report = read({ mode });
+		if (report.error) {
+			this.view.alert(`import failed: ${report.error}. please use a valid file.`);
+			return;
+		}
+		if (mode === 'replace' && report.title) this.conversations.rename(this.conversations.activeId, report.title);
+		// say what had to be upgraded or skipped instead of hiding it
+		const summary = summarizeReport(report);
+		if (summary) this.view.alert(`imported ${report.imported} messages. ${summary}`);
+	}
+
+	/**
+	 * Let the user pick conversations from another tool's export, add each as
+	 * a conversation of its own, and report what was left out.
+	 * 
+	 * @param {Object} found - Result of readExport()
+	 */
+	async importConversations(found) {
+		const { source, conversations } = found;
+		if (!conversations.length) {
+			this.view.alert(`nothing to import from this ${source} export. skipped: ${summarizeSkipped(found.skipped)}.`);
+			return;
+		}
+		if (!this.canSwitch()) return;
+		const picked = await this.view.chooseConversations(source, conversations);
+		if (!picked?.length) return;
+
+		const skipped = [...found.skipped];
+		let added = 0;
+		let messages = 0;
+		let first = null;
+		for (const i of picked) {
+			const c = conversations[i];
+			const { id, report } = await this.conversations.add(c.title, { schemaVersion: SCHEMA_VERSION, messages: c.messages });
+			skipped.push(...c.skipped, ...report.rejected.map(r => r.reason));
+			if (!id) continue;
+			added++;
+			messages += report.imported;
+			first = first || id;
+		}
+		if (first) {
+			await this.conversations.open(first);
+			this.cancelInlineEdit();
+		}
+		const note = skipped.length ? ` skipped: ${summarizeSkipped(skipped)}.` : '';
+		this.view.alert(`imported ${added} conversation${added === 1 ? '' : 's'} (${messages} messages) from ${source}.${note}`);
 	}
 
 	editLastMessageInline() {
@@ -0,0 +1,409 @@
+/**
+ * Conversation manager - owns one Model per named conversation and keeps a
+ * small index (titles, pins, personas, generation settings, last-open chat)
+ * in localStorage. Messages live in the storage backend handed to each Model.
+ *
+ * @class
+ */
+import { Model } from './model.js';
+import { LocalStorageBackend } from './storage.js';
+
+/**
+ * localStorage key for the conversation index.
+ */
+const INDEX_KEY = 'chat_index_v1';
+
+/**
+ * Single-chat key used before conversations existed; migrated on first load.
+ */
+const LEGACY_KEY = 'chat_v1';
+
+/**
+ * Title given to chats until their first user message names them.
+ */
+const DEFAULT_TITLE = 'New chat';
+
+/**
+ * generate a unique conversation ID.
+ *
+ * @returns {string} Unique ID
+ */
+const makeId = () => 'c' + Date.now().toString(36) + Math.random().toString(16).slice(2, 8);
+
+/**
+ * Storage key holding a conversation's messages.
+ *
+ * @param {string} id - Conversation ID
+ * @returns {string} Storage key
+ */
+const storageKey = id => `${LEGACY_KEY}:${id}`;
+
+/**
+ * Derive a short title from a user message (first line, cut at a word).
+ *
+ * @param {string} text - First user message
+ * @returns {string} Title of at most ~40 characters
+ */
+const titleFrom = text => {
+	const line = String(text || '').split('\n')[0].trim();
+	if (line.length <= 40) return line || DEFAULT_TITLE;
+	const cut = line.slice(0, 40);
+	const space = cut.lastIndexOf(' ');
+	return (space > 20 ? cut.slice(0, space) : cut) + '…';
+};
+
+export class ConversationManager {
+	/**
+	 * Create the manager, loading the index (or migrating the legacy single chat).
+	 * Wait for `ready` before using the active conversation.
+	 *
+	 * @param {Object} [options] - Configuration options
+	 * @param {string} [options.indexKey='chat_index_v1'] - localStorage key for the index
+	 * @param {Object} [options.storage] - Message storage backend shared by all models
+	 */
+	constructor({ indexKey = INDEX_KEY, storage = new LocalStorageBackend() } = {}) {
+		this.indexKey = indexKey;
+		this.storage = storage;
+		this.items = [];
+		this.activeId = null;
+		this.models = new Map();
+		this.watchers = [];
+		this.activeWatchers = [];
+		// why the legacy single chat could not be moved this time (it is kept and tried again on the next load)
+		this.migrationError = null;
+		this.ready = this.load();
+	}
+
+	/**
+	 * subscribe to changes of the conversation list
+	 *
+	 * @param {Function} fn - Receives { conversations, activeId }
+	 */
+	onChange(fn) {
+		this.watchers.push(fn);
+	}
+
+	/**
+	 * subscribe to the active conversation's state (fires on switch and on every change)
+	 *
+	 * @param {Function} fn - Receives the active Model's state
+	 */
+	onActiveChange(fn) {
+		this.activeWatchers.push(fn);
+	}
+
+	// notify list watchers
+	notify() {
+		const s = this.getState();
+		this.watchers.forEach(fn => fn(s));
+	}
+
+	// notify active-conversation watchers
+	notifyActive() {
+		const s = this.active.getState();
+		this.activeWatchers.forEach(fn => fn(s));
+	}
+
+	/**
+	 * get the conversation list for rendering: pinned first, then most recently updated.
+	 *
+	 * @returns {Object} { conversations: Array<Object>, activeId: string }
+	 */
+	getState() {
+		const conversations = [...this.items].sort((a, b) =>
+			(b.pinned - a.pinned) || (b.updatedAt - a.updatedAt)
+		);
+		return { conversations, activeId: this.activeId };
+	}
+
+	/**
+	 * The Model of the conversation currently open.
+	 *
+	 * @returns {Model} Active model
+	 */
+	get active() {
+		return this.model(this.activeId);
+	}
+
+	/**
+	 * Get (lazily creating) the Model for a conversation and track its changes
+	 * for auto-titling and recency.
+	 *
+	 * @param {string} id - Conversation ID
+	 * @returns {Model} Conversation model
+	 */
+	model(id) {
+		if (!this.models.has(id)) {
+			const m = new Model(storageKey(id), this.storage);
+			m.onChange(s => this.touched(id, s));
+			this.models.set(id, m);
+		}
+		return this.models.get(id);
+	}
+
+	// react to a conversation's change: bump recency, auto-title, relay if active
+	touched(id, state) {
+		const item = this.find(id);
+		if (item) {
+			item.updatedAt = Date.now();
+			if (item.autoTitle) {
+				const first = state.messages.find(m => m.role === 'user');
+				if (first) {
+					item.title = titleFrom(first.text);
+					item.autoTitle = false;
+				}
+			}
+			this.save();
+			this.notify();
+		}
+		if (id === this.activeId) this.activeWatchers.forEach(fn => fn(state));
+	}
+
+	/**
+	 * find a conversation's index entry
+	 *
+	 * @param {string} id - Conversation ID
+	 * @returns {Object|undefined} Index entry
+	 */
+	find(id) {
+		return this.items.find(c => c.id === id);
+	}
+
+	/**
+	 * Load every conversation's messages (e.g. to search them all).
+	 *
+	 * @returns {Promise<Array<Object>>} [{ id, title, messages }] in list order
+	 */
+	async loadAll() {
+		const { conversations } = this.getState();
+		const models = conversations.map(c => this.model(c.id));
+		await Promise.all(models.map(m => m.ready));
+		return conversations.map((c, i) => ({ id: c.id, title: c.title, messages: models[i].getState().messages }));
+	}
+
+	/**
+	 * Start a new empty conversation and open it.
+	 *
+	 * @param {string} [title='New chat'] - Initial title (auto-titled while it's the default)
+	 * @returns {Promise<string>} New conversation ID
+	 */
+	async create(title = DEFAULT_TITLE) {
+		const now = Date.now();
+		const item = { id: makeId(), title, pinned: false, autoTitle: title === DEFAULT_TITLE, createdAt: now, updatedAt: now };
+		this.items.push(item);
+		await this.open(item.id);
+		return item.id;
+	}
+
+	/**
+	 * Add a conversation holding imported messages, without opening it. It is
+	 * dated by its own messages so imported history sorts among the rest.
+	 *
+	 * @param {string} title - Conversation title
+	 * @param {Object} payload - Messages to import ({ schemaVersion, messages })
+	 * @returns {Promise<Object>} { id, report } where report is Model.importPayload's;
+	 *   id is null (and nothing is added) when the import failed
+	 */
+	async add(title, payload) {
+		const now = Date.now();
+		const item = { id: makeId(), title, pinned: false, autoTitle: false, createdAt: now, updatedAt: now };
+		const model = this.model(item.id);
+		await model.ready;
+		this.items.push(item);
+		const report = model.importPayload(payload);
+		if (report.error) {
+			this.items = this.items.filter(c => c !== item);
+			this.models.delete(item.id);
+			this.storage.remove(storageKey(item.id)).catch(() => {});
+			return { id: null, report };
+		}
+		const { messages } = model.getState();
+		item.createdAt = messages[0].timestamp || now;
+		item.updatedAt = messages[messages.length - 1].timestamp || now;
+		this.save();
+		this.notify();
+		return { id: item.id, report };
+	}
+
+	/**
+	 * Open a conversation (remembered for the next visit) once its messages have loaded.
+	 *
+	 * @param {string} id - Conversation ID
+	 * @returns {Promise<boolean>} True if it exists
+	 */
+	async open(id) {
+		if (!this.find(id)) return false;
+		await this.model(id).ready;
+		this.activeId = id;
+		this.save();
+		this.notify();
+		this.notifyActive();
+		return true;
+	}
+
+	/**
+	 * Rename a conversation (turns auto-titling off).
+	 *
+	 * @param {string} id - Conversation ID
+	 * @param {string} title - New title
+	 * @returns {boolean} True if renamed
+	 */
+	rename(id, title) {
+		const item = this.find(id);
+		const t = String(title || '').trim();
+		if (!item || !t) return false;
+		item.title = t;
+		item.autoTitle = false;
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Copy a conversation, messages included, and open the copy.
+	 *
+	 * @param {string} id - Conversation ID to copy
+	 * @returns {Promise<string|null>} New conversation ID, or null if not found
+	 */
+	async duplicate(id) {
+		const item = this.find(id);
+		if (!item) return null;
+		const now = Date.now();
+		const copy = { id: makeId(), title: `${item.title} (copy)`, pinned: false, autoTitle: false, createdAt: now, updatedAt: now };
+		if (item.persona) copy.persona = item.persona;
+		if (item.settings) copy.settings = structuredClone(item.settings);
+		const source = this.model(id);
+		const target = this.model(copy.id);
+		await Promise.all([source.ready, target.ready]);
+		this.items.push(copy);
+		target.importJson(source.exportJson());
+		await this.open(copy.id);
+		return copy.id;
+	}
+
+	/**
+	 * Set the persona a conversation's replies use.
+	 *
+	 * @param {string} id - Conversation ID
+	 * @param {string|null} personaId - Persona ID, or null for none
+	 * @returns {boolean} True if changed
+	 */
+	setPersona(id, personaId) {
+		const item = this.find(id);
+		if (!item || (item.persona || null) === (personaId || null)) return false;
+		if (personaId) item.persona = personaId;
+		else delete item.persona;
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Set a conversation's generation settings (model per provider, sampling).
+	 *
+	 * @param {string} id - Conversation ID
+	 * @param {Object|null} settings - Settings to save, or null to use the provider defaults
+	 * @returns {boolean} True if the conversation exists
+	 */
+	setSettings(id, settings) {
+		const item = this.find(id);
+		if (!item) return false;
+		if (settings) item.settings = settings;
+		else delete item.settings;
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Pin or unpin a conversation (pinned chats sort first).
+	 *
+	 * @param {string} id - Conversation ID
+	 * @returns {boolean} True if toggled
+	 */
+	togglePin(id) {
+		const item = this.find(id);
+		if (!item) return false;
+		item.pinned = !item.pinned;
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Delete a conversation and its messages. If it was open, the next most
+	 * recent one opens (or a fresh chat when none are left).
+	 *
+	 * @param {string} id - Conversation ID
+	 * @returns {Promise<boolean>} True if deleted
+	 */
+	async remove(id) {
+		if (!this.find(id)) return false;
+		this.items = this.items.filter(c => c.id !== id);
+		this.models.delete(id);
+		this.storage.remove(storageKey(id)).catch(e => console.warn('conversation delete failed', e));
+		if (this.activeId !== id) {
+			this.save();
+			this.notify();
+			return true;
+		}
+		const next = this.getState().conversations[0];
+		if (next) await this.open(next.id);
+		else await this.create();
+		return true;
+	}
+
+	// persist the index
+	save() {
+		try {
+			localStorage.setItem(this.indexKey, JSON.stringify({ conversations: this.items, activeId: this.activeId }));
+		} catch (e) {
+			console.warn('conversation index save failed', e);
+		}
+	}
+
+	// load the index and the open chat; move the legacy single chat into a
+	// conversation on first run, or on a later one if that failed before
+	async load() {
+		try {
+			const d = JSON.parse(localStorage.getItem(this.indexKey) || 'null');
+			if (d && Array.isArray(d.conversations)) {
+				this.items = d.conversations.filter(c => c && c.id && typeof c.title === 'string');
+				this.activeId = this.find(d.activeId) ? d.activeId : (this.getState().conversations[0]?.id || null);
+			}
+		} catch (e) {
+			console.warn('conversation index load failed', e);
+			this.items = [];
+		}
+		const legacy = localStorage.getItem(LEGACY_KEY);
+		if (this.items.length && !legacy) {
+			await this.active.ready;
+			return;
+		}
+
+		const now = Date.now();
+		const item = { id: makeId(), title: DEFAULT_TITLE, pinned: false, autoTitle: true, createdAt: now, updatedAt: now };
+		let moved = !legacy;
+		if (legacy) {
+			// copy first and drop the old slot only once the copy is written,
+			// so a full localStorage leaves the old chat where it was
+			try {
+				localStorage.setItem(storageKey(item.id), legacy);
+				localStorage.removeItem(LEGACY_KEY);
+				moved = true;
+			} catch (e) {
+				console.warn('legacy chat migration failed, keeping it under ' + LEGACY_KEY, e);
+				this.migrationError = e?.message || String(e);
+			}
+		}
+		if (moved || !this.items.length) {
+			this.items.push(item);
+			this.activeId = item.id;
+		}
+		await this.active.ready;
+		if (this.activeId !== item.id) return;
+		// name the migrated chat after its first question
+		this.touched(item.id, this.active.getState());
+		this.save();
+	}
+}
@@ -0,0 +1,162 @@
+/**
+ * AI service errors - one class per kind of failure, so callers can react to
+ * what went wrong (ask for a new key, wait out a rate limit, suggest the
+ * proxy) instead of matching message text. Every adapter in ai.js throws
+ * these; `kind` names the class in a form that can be stored.
+ */
+
+/**
+ * Base class for AI service failures.
+ *
+ * @class
+ */
+export class AiError extends Error {
+	/**
+	 * @param {string} message - What went wrong, readable by the user
+	 * @param {Object} [options] - Details
+	 * @param {string} [options.provider] - Who failed (e.g., 'gemini', 'proxy')
+	 * @param {number} [options.status] - HTTP status, when there was a response
+	 * @param {number|null} [options.retryAfter] - Suggested wait in ms, when the provider gave one
+	 * @param {*} [options.cause] - Underlying error
+	 */
+	constructor(message, { provider, status, retryAfter = null, cause } = {}) {
+		super(message, cause === undefined ? undefined : { cause });
+		this.name = new.target.name;
+		this.kind = 'service';
+		this.provider = provider;
+		this.status = status;
+		this.retryAfter = retryAfter;
+	}
+}
+
+/**
+ * The API key is missing or was rejected (401/403).
+ */
+export class AuthError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'auth';
+	}
+}
+
+/**
+ * Too many requests for now (429); `retryAfter` says how long to wait when known.
+ */
+export class RateLimitError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'rate-limit';
+	}
+}
+
+/**
+ * The account's quota or credit is used up; waiting a few seconds won't help.
+ */
+export class QuotaError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'quota';
+	}
+}
+
+/**
+ * The request never got an answer: offline, DNS, or blocked by CORS.
+ */
+export class NetworkError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'network';
+		this.network = true;
+	}
+}
+
+/**
+ * The provider refused to answer on safety grounds.
+ */
+export class SafetyError extends AiError {
+	/**
+	 * @param {string} message - What went wrong, readable by the user
+	 * @param {Object} [options] - Details (see AiError), plus:
+	 * @param {string} [options.reason] - Provider's reason (e.g., 'SAFETY')
+	 * @param {string} [options.category] - What triggered it, when known (e.g., 'dangerous content')
+	 */
+	constructor(message, options = {}) {
+		super(message, options);
+		this.kind = 'safety';
+		this.reason = options.reason || null;
+		this.category = options.category || null;
+	}
+}
+
+/**
+ * The provider answered with something that can't be read (malformed JSON,
+ * missing fields).
+ */
+export class BadResponseError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'bad-response';
+	}
+}
+
+/**
+ * The provider stayed silent for too long.
+ */
+export class TimeoutError extends AiError {
+	constructor(message, options) {
+		super(message, options);
+		this.kind = 'timeout';
+		this.timeout = true;
+	}
+}
+
+/**
+ * Pull the provider's own error message and retry hint out of an error body
+ * (Gemini, Anthropic and OpenAI-style bodies all use `{ error: { message } }`).
+ *
+ * @param {string} text - Response body
+ * @returns {{ message: string, code: string, retryDelay: number|null }} Parsed details
+ */
+const readBody = text => {
+	let data = null;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		// not json: use the text as is
+	}
+	const err = data?.error;
+	const message = (typeof err === 'string' ? err : err?.message) || String(text || '').slice(0, 200);
+	const code = [err?.status, err?.type, err?.code].filter(v => typeof v === 'string').join(' ');
+	// gemini puts the wait in a RetryInfo detail, e.g. { retryDelay: '17s' }
+	const delay = (Array.isArray(err?.details) ? err.details : []).map(d => d?.retryDelay).find(Boolean);
+	const secs = delay ? parseFloat(delay) : NaN;
+	return { message, code, retryDelay: Number.isFinite(secs) ? secs * 1000 : null };
+};
+
+/**
+ * Signs in a 429/400/402 body that the quota or credit is gone rather than
+ * the request rate being too high.
+ */
+const QUOTA_HINT = /quota|insufficient_quota|billing|credit balance/i;
+
+/**
+ * Classify a failed HTTP response.
+ *
+ * @param {string} provider - Who failed (e.g., 'gemini', 'proxy')
+ * @param {number} status - HTTP status
+ * @param {string} text - Response body
+ * @param {number|null} [retryAfter=null] - Retry-After header in ms
+ * @param {string} [label=provider] - Name used in the message (e.g., a local model's name)
+ * @returns {AiError} Typed error carrying `status` and `retryAfter`
+ */
+export function errorFromResponse(provider, status, text, retryAfter = null, label = provider) {
+	const { message, code, retryDelay } = readBody(text);
+	const options = { provider, status, retryAfter: retryAfter ?? retryDelay };
+	const detail = message ? `: ${message}` : '';
+	if (status === 401 || status === 403) return new AuthError(`${label} rejected the api key (${status})${detail}`, options);
+	if (status === 402 || ((status === 429 || status === 400) && QUOTA_HINT.test(`${code} ${message}`))) {
+		return new QuotaError(`${label} quota used up (${status})${detail}`, options);
+	}
+	if (status === 429) return new RateLimitError(`${label} is rate limiting requests (429)${detail}`, options);
+	return new AiError(`${label} error: ${status}${message ? ' ' + message : ''}`, options);
+}
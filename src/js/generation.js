@@ -0,0 +1,107 @@
+/**
+ * Generation settings - the model picked per provider and the sampling
+ * options (temperature, top-p, max output tokens, stop sequences, and for
+ * Gemini the number of candidates) a conversation asks for. Settings are kept in a provider-neutral shape;
+ * each AI service maps them onto its own request fields.
+ */
+
+/**
+ * Models offered in the settings panel for providers that can't list their
+ * own (any other model id can still be typed in).
+ */
+export const MODEL_CHOICES = {
+	gemini: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro-preview-03-25'],
+	claude: ['claude-haiku-4-5-20251001', 'claude-sonnet-4-5-20250929', 'claude-opus-4-1-20250805']
+};
+
+/**
+ * Most stop sequences sent (OpenAI-compatible servers accept four).
+ */
+export const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Most candidates Gemini is asked for in one reply.
+ */
+export const MAX_CANDIDATES = 8;
+
+/**
+ * Highest temperature each provider accepts; Claude's range is 0-1, the
+ * others take up to 2.
+ */
+export const MAX_TEMPERATURE = { default: 2, claude: 1 };
+
+/**
+ * Highest temperature a provider accepts.
+ *
+ * @param {string} name - Provider key
+ * @returns {number} Upper bound of its temperature range
+ */
+export const maxTemperature = name => MAX_TEMPERATURE[name] ?? MAX_TEMPERATURE.default;
+
+/**
+ * A number within [min, max], or null when unset or out of range.
+ *
+ * @param {*} value - Candidate value
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {number|null} The number, or null
+ */
+const inRange = (value, min, max) => {
+	if (value == null || value === '') return null;
+	const n = Number(value);
+	return Number.isFinite(n) && n >= min && n <= max ? n : null;
+};
+
+/**
+ * Read settings from untrusted data (the panel or the saved index), dropping
+ * anything unset or invalid so the provider's default applies instead.
+ *
+ * @param {Object} [raw={}] - Candidate settings
+ * @returns {Object} { models, temperature, topP, maxTokens, stop, candidates }
+ *   where models maps provider keys to model ids and unset numbers are null
+ */
+export function cleanSettings(raw = {}) {
+	const models = {};
+	Object.entries(raw?.models || {}).forEach(([name, id]) => {
+		if (typeof id === 'string' && id.trim()) models[name] = id.trim();
+	});
+	const maxTokens = inRange(raw?.maxTokens, 1, Number.MAX_SAFE_INTEGER);
+	const candidates = inRange(raw?.candidates, 1, MAX_CANDIDATES);
+	const stop = [...new Set((Array.isArray(raw?.stop) ? raw.stop : []).filter(s => typeof s === 'string' && s !== ''))];
+	return {
+		models,
+		temperature: inRange(raw?.temperature, 0, MAX_TEMPERATURE.default),
+		topP: inRange(raw?.topP, 0, 1),
+		maxTokens: Number.isInteger(maxTokens) ? maxTokens : null,
+		stop: stop.slice(0, MAX_STOP_SEQUENCES),
+		// one candidate is what every provider returns anyway
+		candidates: Number.isInteger(candidates) && candidates > 1 ? candidates : null
+	};
+}
+
+/**
+ * Whether settings leave every provider on its defaults.
+ *
+ * @param {Object} settings - Settings from cleanSettings()
+ * @returns {boolean} True when nothing is set
+ */
+export const isDefault = settings =>
+	!Object.keys(settings.models).length && settings.temperature == null && settings.topP == null &&
+	settings.maxTokens == null && !settings.stop.length && settings.candidates == null;
+
+/**
+ * One-line summary of the settings recorded on a reply.
+ *
+ * @param {Object} used - { model, temperature?, topP?, maxTokens?, stop?, candidates? }
+ * @returns {string} E.g. 'gemini-2.5-flash · temperature 0.2 · max 512 tokens'
+ */
+export function describeSettings(used) {
+	const parts = [];
+	if (used.model) parts.push(used.model);
+	if (used.temperature != null) parts.push(`temperature ${used.temperature}`);
+	if (used.topP != null) parts.push(`top-p ${used.topP}`);
+	if (used.maxTokens != null) parts.push(`max ${used.maxTokens} tokens`);
+	if (used.stop?.length) parts.push(`stop ${used.stop.map(s => JSON.stringify(s)).join(', ')}`);
+	if (used.candidates > 1) parts.push(`${used.candidates} candidates`);
+	return parts.join(' · ');
+}
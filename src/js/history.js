@@ -0,0 +1,63 @@
+/**
+ * Undo/redo stack of commands. A command is `{ label, undo(), redo() }`; the
+ * owner applies the change itself, then pushes the command that reverses it.
+ *
+ * @class
+ */
+export class History {
+	/**
+	 * @param {number} [limit=100] - Commands kept for undo (oldest dropped first)
+	 */
+	constructor(limit = 100) {
+		this.limit = limit;
+		this.done = [];
+		this.undone = [];
+	}
+
+	/**
+	 * Record a change that was just made. Anything that was undone can no
+	 * longer be redone.
+	 *
+	 * @param {Object} command - { label, undo, redo }
+	 */
+	push(command) {
+		this.done.push(command);
+		if (this.done.length > this.limit) this.done.shift();
+		this.undone = [];
+	}
+
+	/**
+	 * Reverse the latest change.
+	 *
+	 * @returns {Object|null} The command undone, or null if there was none
+	 */
+	undo() {
+		const command = this.done.pop();
+		if (!command) return null;
+		command.undo();
+		this.undone.push(command);
+		return command;
+	}
+
+	/**
+	 * Re-apply the latest undone change.
+	 *
+	 * @returns {Object|null} The command redone, or null if there was none
+	 */
+	redo() {
+		const command = this.undone.pop();
+		if (!command) return null;
+		command.redo();
+		this.done.push(command);
+		return command;
+	}
+
+	// label of what undo/redo would do next, if anything
+	get undoLabel() {
+		return this.done[this.done.length - 1]?.label || null;
+	}
+
+	get redoLabel() {
+		return this.undone[this.undone.length - 1]?.label || null;
+	}
+}
@@ -0,0 +1,207 @@
+/**
+ * Importers for other chat tools' data exports. Each one turns an export into
+ * conversations of our message shape and lists what it had to leave out:
+ *
+ * - ChatGPT `conversations.json`: a message tree per conversation (`mapping`),
+ *   flattened along the branch that was showing (`current_node`)
+ * - Claude (claude.ai) `conversations.json`: `chat_messages` per conversation
+ * - Gemini (Google Takeout "My Activity"): one prompt/response entry per
+ *   activity, grouped into a conversation per day
+ */
+
+const isObject = d => !!d && typeof d === 'object' && !Array.isArray(d);
+
+/**
+ * Seconds (ChatGPT), ISO strings (Claude, Takeout) or nothing to milliseconds.
+ *
+ * @param {number|string|null} t - Time as exported
+ * @param {number} [fallback=0] - Used when the time is missing or unreadable
+ * @returns {number} Timestamp in milliseconds
+ */
+const toMs = (t, fallback = 0) => {
+	if (typeof t === 'number' && Number.isFinite(t)) return t < 1e12 ? Math.round(t * 1000) : t;
+	const ms = Date.parse(t);
+	return Number.isFinite(ms) ? ms : fallback;
+};
+
+/**
+ * Plain text from Takeout's HTML, keeping paragraph and line breaks.
+ *
+ * @param {string} html - Response HTML
+ * @returns {string} Text
+ */
+const htmlToText = html => {
+	const marked = String(html || '')
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<\/(p|div|li|h[1-6]|pre|tr)>/gi, '$&\n');
+	const doc = new DOMParser().parseFromString(marked, 'text/html');
+	return (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Build one of our messages.
+ *
+ * @param {string} id - Message ID (kept from the source where it has one)
+ * @param {string} role - 'user' or 'bot'
+ * @param {string} text - Message text
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} provider - Provider label for bot replies
+ * @returns {Object} Message
+ */
+const message = (id, role, text, timestamp, provider) => role === 'bot'
+	? { id, role, text, timestamp, edited: false, provider, status: 'done' }
+	: { id, role, text, timestamp, edited: false };
+
+/**
+ * Flatten a ChatGPT conversation along its current branch.
+ *
+ * @param {Object} conv - ChatGPT conversation
+ * @returns {Object} { title, messages, skipped }
+ */
+const readChatGpt = conv => {
+	const mapping = conv.mapping || {};
+	const skipped = [];
+	const leaf = mapping[conv.current_node] ? conv.current_node : Object.keys(mapping).find(k => !mapping[k]?.children?.length);
+
+	// walk up from the leaf, then read top-down
+	const path = [];
+	const seen = new Set();
+	for (let key = leaf; key && mapping[key] && !seen.has(key); key = mapping[key].parent) {
+		seen.add(key);
+		path.unshift(mapping[key]);
+	}
+
+	const messages = [];
+	path.forEach(node => {
+		const m = node.message;
+		if (!m) return;
+		const role = m.author?.role;
+		if (role !== 'user' && role !== 'assistant') {
+			skipped.push(`${role || 'unknown'} message`);
+			return;
+		}
+		const parts = Array.isArray(m.content?.parts) ? m.content.parts : (m.content?.text != null ? [m.content.text] : []);
+		if (parts.some(p => typeof p !== 'string')) skipped.push('attachment');
+		const text = parts.filter(p => typeof p === 'string').join('\n').trim();
+		if (!text) {
+			skipped.push('empty message');
+			return;
+		}
+		messages.push(message(m.id || node.id, role === 'user' ? 'user' : 'bot', text, toMs(m.create_time, toMs(conv.create_time)), 'chatgpt'));
+	});
+	return { title: conv.title || 'ChatGPT chat', messages, skipped };
+};
+
+/**
+ * Read a Claude conversation.
+ *
+ * @param {Object} conv - Claude conversation
+ * @returns {Object} { title, messages, skipped }
+ */
+const readClaude = conv => {
+	const skipped = [];
+	const messages = [];
+	conv.chat_messages.forEach((m, i) => {
+		const role = m?.sender === 'human' ? 'user' : m?.sender === 'assistant' ? 'bot' : null;
+		if (!role) {
+			skipped.push(`${m?.sender || 'unknown'} message`);
+			return;
+		}
+		if (m.attachments?.length || m.files?.length) skipped.push('attachment');
+		const fromContent = Array.isArray(m.content) ? m.content.filter(c => c?.type === 'text').map(c => c.text).join('\n') : '';
+		const text = String(m.text || fromContent || '').trim();
+		if (!text) {
+			skipped.push('empty message');
+			return;
+		}
+		messages.push(message(m.uuid || `${conv.uuid}-${i}`, role, text, toMs(m.created_at, toMs(conv.created_at)), 'claude'));
+	});
+	return { title: conv.name || 'Claude chat', messages, skipped };
+};
+
+/**
+ * Group Gemini activity entries into one conversation per (UTC) day.
+ *
+ * @param {Array<Object>} entries - Takeout activity entries
+ * @returns {Array<Object>} Conversations ({ title, messages, skipped })
+ */
+const readGeminiActivity = entries => {
+	const days = new Map();
+	const day = key => {
+		if (!days.has(key)) days.set(key, { title: `Gemini · ${key}`, messages: [], skipped: [] });
+		return days.get(key);
+	};
+	[...entries]
+		.filter(e => /gemini|bard/i.test(e?.header || ''))
+		.sort((a, b) => toMs(a.time) - toMs(b.time))
+		.forEach(e => {
+			const ts = toMs(e.time);
+			const conv = day(new Date(ts).toISOString().slice(0, 10));
+			if (!/^Prompted /.test(e.title || '')) {
+				conv.skipped.push('activity without a prompt');
+				return;
+			}
+			if (e.attachedFiles?.length || e.imageFile) conv.skipped.push('attachment');
+			const id = ts.toString(36);
+			conv.messages.push(message(`gemini-${id}-q`, 'user', e.title.slice('Prompted '.length).trim(), ts, 'gemini'));
+			const reply = (e.safeHtmlItem || []).map(item => htmlToText(item?.html)).join('\n\n').trim();
+			if (reply) conv.messages.push(message(`gemini-${id}-a`, 'bot', reply, ts, 'gemini'));
+			else conv.skipped.push('empty message');
+		});
+	return [...days.values()];
+};
+
+/**
+ * Known export formats, tried in order.
+ */
+const FORMATS = [
+	{
+		source: 'ChatGPT',
+		detect: d => d.some(c => isObject(c?.mapping)),
+		read: d => d.filter(c => isObject(c?.mapping)).map(readChatGpt)
+	},
+	{
+		source: 'Claude',
+		detect: d => d.some(c => Array.isArray(c?.chat_messages)),
+		read: d => d.filter(c => Array.isArray(c?.chat_messages)).map(readClaude)
+	},
+	{
+		source: 'Gemini',
+		detect: d => d.some(e => /gemini|bard/i.test(e?.header || '')),
+		read: readGeminiActivity
+	}
+];
+
+/**
+ * Recognize another tool's export and read its conversations. Conversations
+ * left with no messages are dropped and counted as skipped.
+ *
+ * @param {*} data - Parsed JSON of the export
+ * @returns {Object|null} { source, conversations: [{ title, messages, skipped }], skipped }, or null if not recognized
+ */
+export function readExport(data) {
+	const list = Array.isArray(data) ? data : (isObject(data) && (data.mapping || data.chat_messages) ? [data] : null);
+	if (!list) return null;
+	const format = FORMATS.find(f => f.detect(list));
+	if (!format) return null;
+
+	const skipped = [];
+	const conversations = format.read(list).filter(c => {
+		if (c.messages.length) return true;
+		skipped.push('empty conversation', ...c.skipped);
+		return false;
+	});
+	return { source: format.source, conversations, skipped };
+}
+
+/**
+ * Count skipped items by reason for the user.
+ *
+ * @param {Array<string>} reasons - One reason per skipped item
+ * @returns {string} e.g. "system message (3), attachment (1)"
+ */
+export function summarizeSkipped(reasons) {
+	const counts = new Map();
+	reasons.forEach(r => counts.set(r, (counts.get(r) || 0) + 1));
+	return [...counts].map(([reason, n]) => `${reason} (${n})`).join(', ');
+}
@@ -0,0 +1,465 @@
+/**
+ * Markdown for bot replies, rendered straight to DOM nodes. Nothing is ever
+ * parsed as HTML: text only reaches the page through text nodes, so raw
+ * HTML in a reply shows up as written. Links are limited to http(s) and
+ * mailto and open in a new tab without access to this page; images are
+ * shown as links rather than loaded.
+ *
+ * Supported: headings, paragraphs, emphasis, strikethrough, inline code,
+ * fenced code blocks (highlighted, with a copy button), block quotes,
+ * nested lists, tables, rules, links and LaTeX math (see math.js).
+ */
+import { renderMath } from './math.js';
+
+/**
+ * Helper to create DOM elements with optional class and text.
+ *
+ * @param {string} tag - HTML tag name
+ * @param {string|null} [cls] - CSS class name(s)
+ * @param {string|null} [text] - Text content
+ * @returns {HTMLElement} Created element
+ */
+const el = (tag, cls, text) => {
+	const n = document.createElement(tag);
+	if (cls) n.className = cls;
+	if (text != null) n.textContent = text;
+	return n;
+};
+
+/**
+ * Keywords and comment styles per language, keyed by fence label.
+ */
+const C_LIKE = 'if else for while do switch case break continue return default new try catch finally throw class struct enum public private protected static const void int long float double char bool boolean string var let this super import package namespace using extends implements interface virtual override final abstract typeof sizeof goto';
+const LANGUAGES = {
+	js: { comments: ['//', '/*'], keywords: 'var let const function return if else for while do switch case break continue new delete typeof instanceof in of class extends super this import export from default async await yield try catch finally throw void static get set' },
+	python: { comments: ['#'], keywords: 'def return if elif else for while break continue pass class import from as with try except finally raise lambda yield global nonlocal in is not and or assert del async await self' },
+	c: { comments: ['//', '/*'], keywords: C_LIKE },
+	go: { comments: ['//', '/*'], keywords: 'func package import var const type struct interface map chan go defer select return if else for range switch case default break continue fallthrough' },
+	rust: { comments: ['//', '/*'], keywords: 'fn let mut const static struct enum impl trait pub use mod crate self super match if else for while loop break continue return move ref where as in dyn async await unsafe' },
+	shell: { comments: ['#'], keywords: 'if then else elif fi for while until do done case esac in function return export local echo exit' },
+	sql: { comments: ['--', '/*'], keywords: 'select from where insert into values update set delete create table drop alter index join left right inner outer on group by order having limit offset as and or not in is like between distinct union all primary key foreign references', caseless: true },
+	json: { comments: [], keywords: '' },
+	css: { comments: ['/*'], keywords: '' }
+};
+const ALIASES = {
+	javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', cjs: 'js',
+	py: 'python', python3: 'python',
+	cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', java: 'c', cs: 'c', csharp: 'c', kotlin: 'c', kt: 'c', swift: 'c', php: 'c', dart: 'c',
+	golang: 'go', rs: 'rust',
+	sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+	postgres: 'sql', mysql: 'sql', sqlite: 'sql',
+	scss: 'css', less: 'css'
+};
+
+/**
+ * Literal values shown like numbers.
+ */
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NaN']);
+
+// tokenizer per language ({ re, words }), built on first use
+const tokenizers = new Map();
+
+/**
+ * Build the tokenizer for a language: comments, strings, numbers, words.
+ *
+ * @param {Object} lang - Entry of LANGUAGES
+ * @returns {Object} { re: global regex with one group per token kind, words: keyword set }
+ */
+const tokenizer = lang => {
+	if (tokenizers.has(lang)) return tokenizers.get(lang);
+	const comments = lang.comments.map(c => c === '/*' ? '\\/\\*[\\s\\S]*?(?:\\*\\/|$)' : `${c.replace(/[/]/g, '\\/')}.*`);
+	const parts = [
+		comments.length ? comments.join('|') : '(?!)',
+		'"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"?|\'(?:\\\\[\\s\\S]|[^\'\\\\\\n])*\'?|`(?:\\\\[\\s\\S]|[^`\\\\])*`?',
+		'\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b',
+		'[A-Za-z_$][\\w$]*'
+	];
+	const t = { re: new RegExp(parts.map(p => `(${p})`).join('|'), 'g'), words: new Set(lang.keywords.split(' ').filter(Boolean)) };
+	tokenizers.set(lang, t);
+	return t;
+};
+
+/**
+ * Syntax-highlight code as spans (tok-comment, tok-string, tok-number,
+ * tok-keyword). Unknown languages come back as plain text.
+ *
+ * @param {string} code - Source code
+ * @param {string} [language=''] - Fence label (e.g. 'js', 'python')
+ * @returns {DocumentFragment} Highlighted code
+ */
+export function highlightCode(code, language = '') {
+	const frag = document.createDocumentFragment();
+	const name = language.toLowerCase();
+	const lang = LANGUAGES[ALIASES[name] || name];
+	if (!lang) {
+		frag.append(code);
+		return frag;
+	}
+	const { re, words } = tokenizer(lang);
+	re.lastIndex = 0;
+	let pos = 0;
+	for (let m = re.exec(code); m; m = re.exec(code)) {
+		const [token, comment, string, number, word] = m;
+		let kind = null;
+		if (comment) kind = 'comment';
+		else if (string) kind = 'string';
+		else if (number || LITERALS.has(word)) kind = 'number';
+		else if (word && words.has(lang.caseless ? word.toLowerCase() : word)) kind = 'keyword';
+		if (!kind) continue;
+		frag.append(code.slice(pos, m.index), el('span', `tok-${kind}`, token));
+		pos = m.index + token.length;
+	}
+	frag.append(code.slice(pos));
+	return frag;
+}
+
+/**
+ * A link target that is safe to follow, or null.
+ *
+ * @param {string} url - URL from the reply
+ * @returns {string|null} Absolute http(s)/mailto URL
+ */
+const safeUrl = url => {
+	try {
+		const u = new URL(url, window.location.href);
+		return ['http:', 'https:', 'mailto:'].includes(u.protocol) ? u.href : null;
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * A link that opens in a new tab without a handle on this page.
+ *
+ * @param {string} href - Safe URL
+ * @returns {HTMLAnchorElement} Link element (content not set)
+ */
+const link = href => {
+	const a = el('a');
+	a.href = href;
+	a.target = '_blank';
+	a.rel = 'noopener noreferrer';
+	return a;
+};
+
+/**
+ * Inline syntax, one alternative each: math ($$...$$, \[...\], \(...\),
+ * $...$), escape, code span, link or image, autolink, bare url, strong,
+ * strike and em. Math comes first so its _ and * are not read as emphasis;
+ * a $ only opens math when text follows it directly and only closes it
+ * when not followed by a digit, so prices like $5 stay text.
+ */
+const INLINE = new RegExp([
+	'\\$\\$(?<displayMath>[^$]+?)\\$\\$',
+	'\\\\\\[(?<bracketMath>[\\s\\S]+?)\\\\\\]',
+	'\\\\\\((?<parenMath>[\\s\\S]+?)\\\\\\)',
+	'\\$(?=[^\\s$])(?<inlineMath>(?:\\\\\\$|[^$\\n])*?[^\\s\\\\])\\$(?!\\d)',
+	'\\\\(?<escaped>[\\\\`*_{}\\[\\]()#+\\-.!|~<>$])',
+	'(?<ticks>`+)(?<code>[^`]|[^`][\\s\\S]*?[^`])\\k<ticks>(?!`)',
+	'(?<bang>!?)\\[(?<label>[^\\]]*)\\]\\(\\s*<?(?<url>(?:[^\\s()<>]|\\([^\\s()]*\\))*)>?(?:\\s+"[^"]*")?\\s*\\)',
+	'<(?<autolink>(?:https?:\\/\\/|mailto:)[^\\s>]+)>',
+	'(?<bare>https?:\\/\\/[^\\s<]*[^\\s<.,:;"\')\\]!?])',
+	'\\*\\*(?=\\S)(?<strong>[\\s\\S]*?\\S)\\*\\*',
+	'(?<!\\w)__(?=\\S)(?<strong2>[\\s\\S]*?\\S)__(?!\\w)',
+	'~~(?=\\S)(?<strike>[\\s\\S]*?\\S)~~',
+	'\\*(?=[^\\s*])(?<em>[\\s\\S]*?[^\\s*])\\*',
+	'(?<!\\w)_(?=[^\\s_])(?<em2>[\\s\\S]*?[^\\s_])_(?!\\w)'
+].join('|'), 'g');
+
+/**
+ * Render inline Markdown into a parent element.
+ *
+ * @param {Node} parent - Element to append to
+ * @param {string} text - Inline text
+ * @param {boolean} [inLink=false] - Already inside a link (no nested links)
+ */
+const renderInline = (parent, text, inLink = false) => {
+	const re = new RegExp(INLINE.source, 'g');
+	let pos = 0;
+	for (let m = re.exec(text); m; m = re.exec(text)) {
+		const [whole] = m;
+		const { displayMath, bracketMath, parenMath, inlineMath, escaped, code, bang, label, url, autolink, bare, strong, strong2, strike, em, em2 } = m.groups;
+		let node = null;
+		if (displayMath || bracketMath) node = renderMath(displayMath || bracketMath, true, whole);
+		else if (parenMath || inlineMath) node = renderMath(parenMath || inlineMath, false, whole);
+		else if (escaped) node = document.createTextNode(escaped);
+		else if (code != null) node = el('code', null, code.trim() || code);
+		else if (url != null) {
+			const href = !inLink && safeUrl(url);
+			if (href) {
+				node = link(href);
+				if (bang) node.title = 'image (not loaded)';
+				renderInline(node, label || url, true);
+			} else {
+				node = el('span');
+				renderInline(node, label, inLink);
+			}
+		} else if (autolink || bare) {
+			const href = !inLink && safeUrl(autolink || bare);
+			if (!href) continue;
+			node = link(href);
+			node.textContent = autolink || bare;
+		} else {
+			const tag = strong || strong2 ? 'strong' : strike ? 'del' : 'em';
+			node = el(tag);
+			renderInline(node, strong || strong2 || strike || em || em2, inLink);
+		}
+		parent.append(text.slice(pos, m.index), node);
+		pos = m.index + whole.length;
+	}
+	parent.append(text.slice(pos));
+};
+
+/**
+ * Render paragraph text: inline Markdown, with line breaks kept.
+ *
+ * @param {Node} parent - Element to append to
+ * @param {string} text - Paragraph lines joined by \n
+ */
+const renderLines = (parent, text) => {
+	text.split('\n').forEach((line, i) => {
+		if (i) parent.append(el('br'));
+		renderInline(parent, line.replace(/(\\| {2,})$/, ''));
+	});
+};
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const MATH_BLOCK = /^ {0,3}(\$\$|\\\[)(.*)$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Split a table row into cells (outer pipes optional, \| escapes a pipe).
+ *
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell texts
+ */
+const cells = line => {
+	const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+	return row.split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, '|'));
+};
+
+// whether two lines open a table (header row, then a |---| rule)
+const isTable = (line, next = '') => line.includes('|') && next.includes('|') && next.includes('-') && TABLE_RULE.test(next);
+
+// whether a line starts a block other than a paragraph
+const startsBlock = (line, next = '') =>
+	FENCE.test(line) || MATH_BLOCK.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || ITEM.test(line) ||
+	isTable(line, next);
+
+/**
+ * A fenced code block with its language, highlighting and a copy button.
+ *
+ * @param {string} code - Code inside the fence
+ * @param {string} language - Fence label
+ * @returns {HTMLElement} Code block
+ */
+const codeBlock = (code, language) => {
+	const block = el('div', 'code-block');
+	const head = el('div', 'code-head');
+	head.append(el('span', 'code-lang', language || 'text'));
+	const copy = el('button', 'action action--secondary', 'Copy');
+	copy.type = 'button';
+	copy.dataset.action = 'copy-code';
+	head.append(copy);
+	const pre = el('pre');
+	const c = el('code', language ? `language-${language}` : null);
+	c.append(highlightCode(code, language));
+	pre.append(c);
+	block.append(head, pre);
+	return block;
+};
+
+/**
+ * A table from its header, alignment row and body rows.
+ *
+ * @param {Array<string>} lines - Table lines (header, rule, rows)
+ * @returns {HTMLElement} Scrollable table wrapper
+ */
+const table = lines => {
+	const align = cells(lines[1]).map(c => (c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : ''));
+	const row = (line, tag) => {
+		const tr = el('tr');
+		const texts = cells(line);
+		align.forEach((a, i) => {
+			const cell = el(tag);
+			if (a) cell.style.textAlign = a;
+			renderInline(cell, texts[i] || '');
+			tr.append(cell);
+		});
+		return tr;
+	};
+	const t = el('table');
+	const thead = el('thead');
+	thead.append(row(lines[0], 'th'));
+	const tbody = el('tbody');
+	lines.slice(2).forEach(line => tbody.append(row(line, 'td')));
+	t.append(thead, tbody);
+	const wrap = el('div', 'table-wrap');
+	wrap.append(t);
+	return wrap;
+};
+
+/**
+ * Parse lines into block elements.
+ *
+ * @param {Array<string>} lines - Markdown lines
+ * @param {Node} parent - Element to append blocks to
+ */
+const renderBlocks = (lines, parent) => {
+	let i = 0;
+	while (i < lines.length) {
+		const line = lines[i];
+		if (!line.trim()) {
+			i++;
+			continue;
+		}
+
+		const fence = line.match(FENCE);
+		if (fence) {
+			const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+			const code = [];
+			for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+			i++;
+			parent.append(codeBlock(code.join('\n'), fence[2]));
+			continue;
+		}
+
+		// display math: $$ or \[ at the start of a line, closed at the end of
+		// the same or a later line (a blank line means it was not math)
+		const math = line.match(MATH_BLOCK);
+		if (math) {
+			const close = math[1] === '$$' ? '$$' : '\\]';
+			const body = [math[2]];
+			let j = i;
+			while (!body[body.length - 1].trimEnd().endsWith(close) && lines[j + 1]?.trim()) body.push(lines[++j]);
+			const tex = body.join('\n').trimEnd();
+			if (tex.endsWith(close) && !tex.slice(0, -close.length).includes(close)) {
+				parent.append(renderMath(tex.slice(0, -close.length), true, lines.slice(i, j + 1).join('\n').trim()));
+				i = j + 1;
+				continue;
+			}
+		}
+
+		const heading = line.match(HEADING);
+		if (heading) {
+			// reply headings sit below the page's own
+			const h = el(`h${Math.min(heading[1].length + 2, 6)}`);
+			renderInline(h, heading[2]);
+			parent.append(h);
+			i++;
+			continue;
+		}
+
+		if (RULE.test(line)) {
+			parent.append(el('hr'));
+			i++;
+			continue;
+		}
+
+		if (QUOTE.test(line)) {
+			const quoted = [];
+			for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].match(QUOTE)[1]);
+			const q = el('blockquote');
+			renderBlocks(quoted, q);
+			parent.append(q);
+			continue;
+		}
+
+		if (isTable(line, lines[i + 1])) {
+			const rows = [line, lines[i + 1]];
+			for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) rows.push(lines[i]);
+			parent.append(table(rows));
+			continue;
+		}
+
+		if (ITEM.test(line)) {
+			i = renderList(lines, i, parent);
+			continue;
+		}
+
+		const para = [line];
+		for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1]); i++) para.push(lines[i]);
+		const p = el('p');
+		renderLines(p, para.join('\n'));
+		parent.append(p);
+	}
+};
+
+/**
+ * Parse a list starting at a line; items may hold nested blocks (indented
+ * under the item's text).
+ *
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} start - Index of the first item
+ * @param {Node} parent - Element to append the list to
+ * @returns {number} Index of the first line after the list
+ */
+const renderList = (lines, start, parent) => {
+	const [, indent, marker] = lines[start].match(ITEM);
+	const ordered = /\d/.test(marker);
+	const list = el(ordered ? 'ol' : 'ul');
+	if (ordered && parseInt(marker, 10) !== 1) list.start = parseInt(marker, 10);
+
+	const items = [];
+	let i = start;
+	while (i < lines.length) {
+		const line = lines[i];
+		const item = line.match(ITEM);
+		if (item && item[1].length === indent.length && /\d/.test(item[2]) === ordered) {
+			// content is indented to where the item's text starts
+			items.push({ width: item[1].length + item[2].length + 1, lines: [item[3]] });
+			i++;
+			continue;
+		}
+		const current = items[items.length - 1];
+		const lead = line.match(/^[ \t]*/)[0].length;
+		if (!line.trim()) {
+			// a blank line only continues the list if more of it follows
+			const next = lines.slice(i + 1).find(l => l.trim());
+			const nextItem = next?.match(ITEM);
+			const continues = next != null && (next.match(/^[ \t]*/)[0].length > indent.length || (nextItem && nextItem[1].length === indent.length && /\d/.test(nextItem[2]) === ordered));
+			if (!continues) break;
+			current.lines.push('');
+			i++;
+			continue;
+		}
+		if (lead > indent.length) {
+			current.lines.push(line.slice(Math.min(lead, current.width)));
+			i++;
+			continue;
+		}
+		// lazy continuation of the item's paragraph
+		if (!startsBlock(line, lines[i + 1]) && current.lines[current.lines.length - 1].trim()) {
+			current.lines.push(line.trim());
+			i++;
+			continue;
+		}
+		break;
+	}
+
+	items.forEach(({ lines: body }) => {
+		const li = el('li');
+		renderBlocks(body, li);
+		// tight items show their text without a paragraph around it
+		if (li.firstChild?.nodeName === 'P' && !body.includes('')) li.firstChild.replaceWith(...li.firstChild.childNodes);
+		list.append(li);
+	});
+	parent.append(list);
+	return i;
+};
+
+/**
+ * Render Markdown text as DOM nodes.
+ *
+ * @param {string} text - Markdown source
+ * @returns {DocumentFragment} Rendered blocks
+ */
+export function renderMarkdown(text) {
+	const frag = document.createDocumentFragment();
+	renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'), frag);
+	return frag;
+}
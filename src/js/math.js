@@ -0,0 +1,381 @@
+/**
+ * LaTeX math for bot replies, converted to MathML (which browsers render
+ * natively, so nothing is fetched). Covers what chat answers use: scripts,
+ * fractions, roots, Greek letters, operators and relations, big operators
+ * with limits, accents, \left/\right, \text and font commands, and
+ * matrix/cases/aligned environments. Anything else is a parse error, and
+ * the formula is shown as its source instead.
+ */
+
+const MATHML = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Create a MathML element with children and attributes.
+ *
+ * @param {string} tag - MathML tag name
+ * @param {Array<Node>|string} [content] - Child nodes, or text
+ * @param {Object} [attrs] - Attributes to set
+ * @returns {Element} MathML element
+ */
+const node = (tag, content = [], attrs = {}) => {
+	const n = document.createElementNS(MATHML, tag);
+	if (typeof content === 'string') n.textContent = content;
+	else n.append(...content);
+	Object.entries(attrs).forEach(([k, v]) => n.setAttribute(k, v));
+	return n;
+};
+
+// one node as is, several as a row
+const row = nodes => (nodes.length === 1 ? nodes[0] : node('mrow', nodes));
+
+// operators whose scripts go under/over them (\sum, \lim, ...)
+const takesLimits = new WeakSet();
+
+const GREEK = {
+	alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ',
+	iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ',
+	varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+	Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// identifiers that are symbols rather than variables
+const SYMBOL_IDENTIFIERS = { infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', ell: 'ℓ', hbar: 'ℏ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ' };
+
+const OPERATORS = {
+	cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙', oplus: '⊕', otimes: '⊗',
+	le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝',
+	ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+	Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+	in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖',
+	forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨', mid: '∣', parallel: '∥', perp: '⊥',
+	ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱', prime: '′', angle: '∠', degree: '°',
+	langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', '|': '‖',
+	'{': '{', '}': '}', '%': '%', $: '$', '#': '#', '&': '&', _: '_'
+};
+
+// big operators; those with movable limits put them under/over in display math
+const BIG = { sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+const INTEGRALS = new Set(['int', 'iint', 'iiint', 'oint']);
+
+// named functions set upright; the second group takes limits like big operators
+const FUNCTIONS = new Set(['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr']);
+const LIMIT_FUNCTIONS = new Set(['lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'argmax', 'argmin']);
+
+const SPACES = { ',': '0.1667em', ':': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '-0.1667em' };
+
+const ACCENTS = { hat: '^', widehat: '^', bar: '¯', overline: '‾', vec: '→', tilde: '~', widetilde: '~', dot: '˙', ddot: '¨', underline: '_' };
+
+// commands that only change sizing or spacing; they are skipped
+const IGNORED = new Set(['displaystyle', 'textstyle', 'limits', 'nolimits', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr']);
+
+/**
+ * Unicode math letters (A, a, 0) per font, with the letters that live elsewhere.
+ */
+const FONTS = {
+	mathbf: { A: 0x1D400, a: 0x1D41A, 0: 0x1D7CE, holes: {} },
+	boldsymbol: { A: 0x1D400, a: 0x1D41A, 0: 0x1D7CE, holes: {} },
+	mathbb: { A: 0x1D538, a: 0x1D552, 0: 0x1D7D8, holes: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' } },
+	mathcal: { A: 0x1D49C, a: 0x1D4B6, holes: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' } }
+};
+
+/**
+ * Restyle letters and digits in a math font.
+ *
+ * @param {string} text - Plain letters
+ * @param {Object} font - Entry of FONTS
+ * @returns {string} Styled text
+ */
+const styled = (text, font) => [...text].map(c => {
+	if (font.holes[c]) return font.holes[c];
+	if (/[A-Z]/.test(c)) return String.fromCodePoint(font.A + c.charCodeAt(0) - 65);
+	if (/[a-z]/.test(c)) return String.fromCodePoint(font.a + c.charCodeAt(0) - 97);
+	if (/[0-9]/.test(c) && font[0]) return String.fromCodePoint(font[0] + c.charCodeAt(0) - 48);
+	return c;
+}).join('');
+
+/**
+ * Matrix-like environments and the delimiters around them.
+ */
+const ENVIRONMENTS = {
+	matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'],
+	cases: ['{', ''], aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', ''], split: ['', ''], array: ['', '']
+};
+
+/**
+ * Split TeX into tokens: commands (\name or \symbol), and single characters.
+ *
+ * @param {string} tex - TeX source
+ * @returns {Array<string>} Tokens (whitespace dropped, except inside \text)
+ */
+const tokenize = tex => tex.match(/\\[a-zA-Z]+\*?|\\[^a-zA-Z]|\s+|[\s\S]/g) || [];
+
+/**
+ * Recursive-descent parser from tokens to MathML.
+ */
+class Parser {
+	constructor(tex) {
+		this.tokens = tokenize(tex);
+		this.pos = 0;
+	}
+
+	peek() {
+		while (/^\s+$/.test(this.tokens[this.pos] || '')) this.pos++;
+		return this.tokens[this.pos];
+	}
+
+	next() {
+		const t = this.peek();
+		this.pos++;
+		return t;
+	}
+
+	expect(token) {
+		const t = this.next();
+		if (t !== token) throw new Error(`expected ${token} but found ${t ?? 'the end'}`);
+	}
+
+	// raw text of a {...} group, or of the single next token (for \text and font commands)
+	rawArgument() {
+		if (this.peek() === '{') return this.rawGroup();
+		const t = this.next();
+		if (t === undefined) throw new Error('missing argument');
+		return t;
+	}
+
+	// raw text of a {...} group (for \text, \begin and font names)
+	rawGroup() {
+		this.expect('{');
+		let depth = 1;
+		let text = '';
+		while (this.pos < this.tokens.length) {
+			const t = this.tokens[this.pos++];
+			if (t === '{') depth++;
+			if (t === '}' && --depth === 0) return text;
+			text += t;
+		}
+		throw new Error('missing }');
+	}
+
+	/**
+	 * Parse atoms (with their scripts) until a stop token.
+	 *
+	 * @param {Set<string>} stops - Tokens that end the list (left unread)
+	 * @returns {Array<Element>} MathML nodes
+	 */
+	list(stops) {
+		const nodes = [];
+		for (let t = this.peek(); t !== undefined && !stops.has(t); t = this.peek()) {
+			if (t === '}') throw new Error('unexpected }');
+			const atom = this.atom();
+			if (atom) nodes.push(this.scripts(atom));
+		}
+		return nodes;
+	}
+
+	// a {...} group or a single atom, as one node (arguments of \frac etc.)
+	argument() {
+		if (this.peek() === '{') {
+			this.next();
+			const nodes = this.list(new Set(['}']));
+			this.expect('}');
+			return row(nodes);
+		}
+		// an unbraced number argument is one digit (\frac12 is 1/2)
+		if (/^[0-9]$/.test(this.peek() || '')) return node('mn', this.next());
+		const atom = this.atom();
+		if (!atom) throw new Error('missing argument');
+		return atom;
+	}
+
+	// attach ^ and _ (and primes) to a base
+	scripts(base) {
+		let sub = null;
+		let sup = null;
+		for (let t = this.peek(); t === '^' || t === '_' || t === "'"; t = this.peek()) {
+			this.next();
+			if (t === "'") {
+				sup = sup ? node('mrow', [sup, node('mo', '′')]) : node('mo', '′');
+			} else if (t === '^') {
+				if (sup && sup.textContent !== '′') throw new Error('double superscript');
+				sup = sup ? node('mrow', [sup, this.argument()]) : this.argument();
+			} else {
+				if (sub) throw new Error('double subscript');
+				sub = this.argument();
+			}
+		}
+		if (!sub && !sup) return base;
+		if (takesLimits.has(base)) {
+			if (sub && sup) return node('munderover', [base, sub, sup]);
+			return node(sub ? 'munder' : 'mover', [base, sub || sup]);
+		}
+		if (sub && sup) return node('msubsup', [base, sub, sup]);
+		return node(sub ? 'msub' : 'msup', [base, sub || sup]);
+	}
+
+	// one atom: group, number, letter, symbol or command
+	atom() {
+		const t = this.next();
+		if (t === '{') {
+			const nodes = this.list(new Set(['}']));
+			this.expect('}');
+			return row(nodes);
+		}
+		if (/^[0-9.]$/.test(t)) {
+			let num = t;
+			while (/^[0-9.]$/.test(this.tokens[this.pos] || '')) num += this.tokens[this.pos++];
+			return node('mn', num);
+		}
+		if (/^[a-zA-Z]$/.test(t)) return node('mi', t);
+		if (t === '^' || t === '_') throw new Error(`${t} needs something before it`);
+		if (t === '-') return node('mo', '−');
+		if (t === '&' || t === '\\\\') throw new Error(`${t} outside an environment`);
+		if (t[0] === '\\') return this.command(t.slice(1));
+		return node('mo', t);
+	}
+
+	// a backslash command (a starred form is treated like the plain one)
+	command(starred) {
+		const name = starred.replace(/\*$/, '');
+		if (GREEK[name]) return node('mi', GREEK[name], /^[A-Z]/.test(name) ? { mathvariant: 'normal' } : {});
+		if (SYMBOL_IDENTIFIERS[name]) return node('mi', SYMBOL_IDENTIFIERS[name]);
+		if (OPERATORS[name]) return node('mo', OPERATORS[name]);
+		if (name in SPACES) return node('mspace', [], { width: SPACES[name] });
+		if (IGNORED.has(name)) return null;
+		if (BIG[name]) {
+			if (INTEGRALS.has(name)) return node('mo', BIG[name]);
+			const op = node('mo', BIG[name], { movablelimits: 'true' });
+			takesLimits.add(op);
+			return op;
+		}
+		if (FUNCTIONS.has(name) || LIMIT_FUNCTIONS.has(name)) {
+			const fn = node('mi', name.replace(/^arg(max|min)$/, 'arg $1'), { mathvariant: 'normal' });
+			if (!LIMIT_FUNCTIONS.has(name)) return node('mrow', [fn, node('mo', '⁡')]);
+			const op = node('mo', fn.textContent, { movablelimits: 'true', form: 'prefix' });
+			takesLimits.add(op);
+			return op;
+		}
+		if (name === 'frac' || name === 'dfrac' || name === 'tfrac') return node('mfrac', [this.argument(), this.argument()]);
+		if (name === 'binom') return node('mrow', [node('mo', '('), node('mfrac', [this.argument(), this.argument()], { linethickness: '0' }), node('mo', ')')]);
+		if (name === 'sqrt') {
+			if (this.peek() === '[') {
+				this.next();
+				const index = row(this.list(new Set([']'])));
+				this.expect(']');
+				return node('mroot', [this.argument(), index]);
+			}
+			return node('msqrt', [this.argument()]);
+		}
+		if (name === 'text' || name === 'textrm' || name === 'mbox' || name === 'textit') return node('mtext', this.rawArgument());
+		if (name === 'textbf') return node('mtext', styled(this.rawArgument(), FONTS.mathbf));
+		if (name === 'operatorname') return node('mrow', [node('mi', this.rawArgument().trim(), { mathvariant: 'normal' }), node('mo', '⁡')]);
+		if (name === 'mathrm') return node('mi', this.rawArgument().replace(/\s+/g, ''), { mathvariant: 'normal' });
+		if (name === 'mathit') return node('mi', this.rawArgument().replace(/\s+/g, ''));
+		if (FONTS[name]) return node('mi', styled(this.rawArgument().replace(/\s+/g, ''), FONTS[name]));
+		if (ACCENTS[name]) {
+			const under = name === 'underline';
+			const mark = node('mo', ACCENTS[name], { stretchy: String(/^(wide|over|under)/.test(name)) });
+			return node(under ? 'munder' : 'mover', [this.argument(), mark], under ? { accentunder: 'true' } : { accent: 'true' });
+		}
+		if (name === 'left') return this.fenced();
+		if (name === 'right') throw new Error('\\right without \\left');
+		if (name === 'begin') return this.environment();
+		throw new Error(`unknown command \\${name}`);
+	}
+
+	// the delimiter after \left or \right ('.' is none)
+	delimiter() {
+		const t = this.next();
+		if (t === undefined) throw new Error('missing delimiter');
+		if (t === '.') return null;
+		const symbol = t[0] === '\\' ? OPERATORS[t.slice(1)] : t;
+		if (!symbol) throw new Error(`bad delimiter ${t}`);
+		return node('mo', symbol, { stretchy: 'true', fence: 'true' });
+	}
+
+	// \left( ... \right)
+	fenced() {
+		const open = this.delimiter();
+		const inner = this.list(new Set(['\\right']));
+		this.expect('\\right');
+		const close = this.delimiter();
+		return node('mrow', [open, ...inner, close].filter(Boolean));
+	}
+
+	// \begin{env} rows of cells separated by & and \\ \end{env}
+	environment() {
+		const env = this.rawGroup().trim();
+		if (!ENVIRONMENTS[env]) throw new Error(`unknown environment ${env}`);
+		// array's column spec ({cc|c}) is not needed for layout here
+		if (env === 'array' && this.peek() === '{') this.rawGroup();
+		// aligned equations are right|left pairs, cases are left-aligned
+		const align = i => (env === 'cases' ? 'left' : /^(aligned|align\*?|split)$/.test(env) ? (i % 2 ? 'left' : 'right') : '');
+		const rows = [];
+		let cells = [];
+		for (;;) {
+			const cell = this.list(new Set(['&', '\\\\', '\\end']));
+			const a = align(cells.length);
+			cells.push(node('mtd', [row(cell)], a ? { style: `text-align: ${a}` } : {}));
+			const t = this.next();
+			if (t === '&') continue;
+			rows.push(node('mtr', cells));
+			cells = [];
+			if (t === '\\end') break;
+			if (t === undefined) throw new Error(`missing \\end{${env}}`);
+		}
+		const end = this.rawGroup().trim();
+		if (end !== env) throw new Error(`\\begin{${env}} ended by \\end{${end}}`);
+		// a trailing \\ leaves an empty last row
+		if (rows.length > 1 && !rows[rows.length - 1].textContent.trim()) rows.pop();
+		const table = node('mtable', rows);
+		const [open, close] = ENVIRONMENTS[env];
+		const fence = s => node('mo', s, { stretchy: 'true', fence: 'true' });
+		return node('mrow', [open && fence(open), table, close && fence(close)].filter(Boolean));
+	}
+
+	parse() {
+		return this.list(new Set());
+	}
+}
+
+/**
+ * Convert TeX to a <math> element.
+ *
+ * @param {string} tex - TeX source (without delimiters)
+ * @param {boolean} [display=false] - Display (block) math
+ * @returns {Element} MathML element
+ * @throws {Error} When the TeX can't be parsed
+ */
+export function texToMathML(tex, display = false) {
+	const nodes = new Parser(tex).parse();
+	const annotation = node('annotation', tex, { encoding: 'application/x-tex' });
+	return node('math', [node('semantics', [row(nodes.length ? nodes : [node('mrow')]), annotation])], display ? { display: 'block' } : {});
+}
+
+/**
+ * Render a formula for a chat bubble: the MathML plus its source, which the
+ * view can toggle to. A formula that can't be parsed shows its source, with
+ * the reason as a tooltip.
+ *
+ * @param {string} tex - TeX source (without delimiters)
+ * @param {boolean} [display=false] - Display (block) math
+ * @param {string} [source] - Source as written, with delimiters (shown raw)
+ * @returns {HTMLElement} span.math
+ */
+export function renderMath(tex, display = false, source = display ? `$$${tex}$$` : `$${tex}$`) {
+	const wrap = document.createElement('span');
+	wrap.className = `math ${display ? 'math-display' : 'math-inline'}`;
+	const raw = document.createElement('code');
+	raw.className = 'math-source';
+	raw.textContent = source;
+	try {
+		wrap.append(texToMathML(tex, display), raw);
+		wrap.tabIndex = 0;
+		wrap.setAttribute('role', 'button');
+		wrap.title = 'show LaTeX source';
+	} catch (e) {
+		wrap.classList.add('math-error');
+		wrap.title = `could not render this formula: ${e.message}`;
+		wrap.append(raw);
+	}
+	return wrap;
+}
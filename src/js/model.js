@@ -1,9 +1,14 @@
 /**
- * model - manages chat messages and persistence with localStorage.
+ * model - manages chat messages and persistence through a storage backend.
  * implements the MVC pattern's model layer
  * 
  * @class
  */
+import { LocalStorageBackend, isQuotaError } from './storage.js';
+import { SCHEMA_VERSION, upgrade } from './schema.js';
+import { toMarkdown, fromMarkdown } from './transcript.js';
+import { History } from './history.js';
+
 // model manages messages and persistence and notifies observers on change
 /**
  * generate a unique message ID using timestamp and random string.
@@ -12,18 +17,126 @@
  */
 const makeId = () => Date.now().toString(36) + Math.random().toString(16).slice(2);
 
+/**
+ * Fields that make up one version of a bot reply. The message itself always
+ * mirrors its active version, so code that ignores versions keeps working.
+ */
+const VERSION_FIELDS = ['text', 'status', 'provider', 'fallbackFrom', 'settings', 'finish', 'usage', 'error', 'timestamp'];
+
+/**
+ * Copy the version fields of a message.
+ *
+ * @param {Object} m - Bot message
+ * @returns {Object} Version snapshot
+ */
+const snapshot = m => Object.fromEntries(VERSION_FIELDS.map(k => [k, m[k]]));
+
+/**
+ * Normalize a stored message: a reply still pending when the page closed is
+ * marked interrupted. (Shape changes between versions live in schema.js.)
+ *
+ * @param {Object} m - Stored message
+ * @returns {Object} Message safe to show
+ */
+const settleLoaded = m => {
+	if (m.versions) {
+		const versions = m.versions.map(v => v.status === 'pending' ? { ...v, status: 'interrupted' } : v);
+		m = { ...m, versions };
+	}
+	if (m.branches) {
+		const branches = m.branches.map(b => b.tail ? { ...b, tail: b.tail.map(settleLoaded) } : b);
+		m = { ...m, branches };
+	}
+	if (m.status === 'pending') return { ...m, status: 'interrupted' };
+	return m;
+};
+
+/**
+ * Identity of a message apart from its id, to spot copies that were re-keyed
+ * (e.g. a chat that went through a Markdown transcript).
+ *
+ * @param {Object} m - Message
+ * @returns {string} Fingerprint
+ */
+const fingerprint = m => `${m.role}\n${m.timestamp}\n${m.text}`;
+
+/**
+ * Whether two messages with the same id say the same thing.
+ *
+ * @param {Object} a - Message
+ * @param {Object} b - Message
+ * @returns {boolean} True if role, text, versions and branches match
+ */
+const sameContent = (a, b) =>
+	a.role === b.role &&
+	a.text === b.text &&
+	JSON.stringify(a.versions || null) === JSON.stringify(b.versions || null) &&
+	JSON.stringify(a.branches || null) === JSON.stringify(b.branches || null);
+
+/**
+ * Merge imported messages into the current ones. Messages already here (same
+ * id and content, or same role, time and text) are skipped; an id collision
+ * with different content keeps both, the import under a fresh id. New
+ * messages are interleaved by timestamp without reordering either side.
+ *
+ * @param {Array<Object>} current - Messages in the chat
+ * @param {Array<Object>} incoming - Messages being imported
+ * @returns {Object} { messages, added, duplicates, conflicts }
+ */
+const mergeMessages = (current, incoming) => {
+	const byId = new Map(current.map(m => [m.id, m]));
+	const prints = new Set(current.map(fingerprint));
+	const extra = [];
+	let added = 0;
+	let duplicates = 0;
+	let conflicts = 0;
+	incoming.forEach(m => {
+		const mine = byId.get(m.id);
+		// a fingerprint match also catches conflict copies kept by an earlier merge
+		if ((mine && sameContent(mine, m)) || prints.has(fingerprint(m))) {
+			duplicates++;
+			return;
+		}
+		if (mine) conflicts++;
+		else added++;
+		const kept = mine ? { ...m, id: makeId() } : m;
+		extra.push(kept);
+		byId.set(kept.id, kept);
+		prints.add(fingerprint(kept));
+	});
+
+	// two-way merge by timestamp; on ties the current message goes first
+	const messages = [];
+	let i = 0;
+	let j = 0;
+	while (i < current.length || j < extra.length) {
+		const takeExtra = i >= current.length || (j < extra.length && (extra[j].timestamp || 0) < (current[i].timestamp || 0));
+		messages.push(takeExtra ? extra[j++] : current[i++]);
+	}
+	return { messages, added, duplicates, conflicts };
+};
+
 export class Model {
 	/**
-	 * create a model instance.
+	 * create a model instance. Saved messages load asynchronously; wait for
+	 * `ready` before reading or changing them.
 	 * 
-	 * @param {string} [key='chat_v1'] - localStorage key for persisting messages
+	 * @param {string} [key='chat_v1'] - storage key for persisting messages
+	 * @param {Object} [storage] - storage backend (see storage.js); localStorage by default
 	 */
-	constructor(key = 'chat_v1') {
+	constructor(key = 'chat_v1', storage = new LocalStorageBackend()) {
 		this.key = key;
+		this.storage = storage;
 		this.messages = [];
 		this.lastSaved = null;
+		// last failed save ({ quota, message }), cleared by the next good one
+		this.storageError = null;
+		// what loading had to upgrade or skip (see schema.js upgrade())
+		this.loadReport = null;
+		// undo/redo for adds, edits, deletes, clears, imports, forks and branch switches
+		this.history = new History();
 		this.watchers = [];
-		this.load();
+		this.ready = this.load();
 	}
 
 	/**
@@ -45,51 +158,75 @@ export class Model {
 	/**
 	 * get a safe copy of current state for rendering.
 	 * 
-	 * @returns {Object} state object with messages array, count, and lastSaved timestamp
+	 * @returns {Object} state object with messages array, count, lastSaved timestamp, whether a reply is pending, any save error, the load report, and what undo/redo would do
 	 */
 	getState() {
 		return {
 			messages: [...this.messages],
 			count: this.messages.length,
-			lastSaved: this.lastSaved
+			lastSaved: this.lastSaved,
+			pending: this.messages.some(m => m.status === 'pending'),
+			storageError: this.storageError,
+			loadReport: this.loadReport,
+			undoLabel: this.history.undoLabel,
+			redoLabel: this.history.redoLabel
 		};
 	}
 
-	// persist state to localstorage with basic error handling
+	/**
+	 * Get the messages that come before a given message, i.e. the context a
+	 * reply to it should see. Only settled replies are part of the
+	 * conversation (not pending, failed, stopped or interrupted ones).
+	 * 
+	 * @param {string} id - Message ID to stop at (exclusive)
+	 * @returns {Array<Object>} Earlier messages, oldest first
+	 */
+	historyBefore(id) {
+		const i = this.messages.findIndex(x => x.id === id);
+		const prior = i < 0 ? this.messages : this.messages.slice(0, i);
+		return prior.filter(m => m.text && (!m.status || m.status === 'done'));
+	}
+
+	// persist state; a failed write is reported in state (and cleared by the next good one)
 	save() {
-		try {
-			const payload = {
-				messages: this.messages,
-				lastSaved: Date.now()
-			};
-			localStorage.setItem(this.key, JSON.stringify(payload));
-			this.lastSaved = payload.lastSaved;
-		} catch (e) {
-			console.warn('save failed', e);
-		}
+		const payload = {
+			schemaVersion: SCHEMA_VERSION,
+			messages: this.messages,
+			lastSaved: Date.now()
+		};
+		this.lastSaved = payload.lastSaved;
+		this.storage.save(this.key, payload).then(
+			() => {
+				if (this.storageError) {
+					this.storageError = null;
+					this.notify();
+				}
+			},
+			e => {
+				console.warn('save failed', e);
+				this.storageError = { quota: isQuotaError(e), message: e?.message || String(e) };
+				this.notify();
+			}
+		);
 	}
 
-	// load state from localstorage defensively
-	load() {
+	// load state from storage defensively, upgrading older payloads
+	async load() {
 		try {
-			const raw = localStorage.getItem(this.key);
-			if (!raw) return;
-			const d = JSON.parse(raw);
-			if (d && Array.isArray(d.messages)) {
-				this.messages = d.messages.filter(m =>
-					m &&
-					m.id &&
-					typeof m.text === 'string' &&
-					(m.role === 'user' || m.role === 'bot')
-				);
-				this.lastSaved = d.lastSaved || null;
-			}
+			const d = await this.storage.load(this.key);
+			if (!d) return;
+			const { payload, report } = upgrade(d);
+			this.messages = payload.messages.map(settleLoaded);
+			this.lastSaved = payload.lastSaved || null;
+			this.loadReport = report;
+			if (report.rejected.length) console.warn('skipped unreadable messages', this.key, report.rejected);
 		} catch (e) {
-			// improper storage should not break the app
-			console.warn('load failed, clearing', e);
-			localStorage.removeItem(this.key);
+			// improper storage should not break the app; report it rather than
+			// wiping it, since it may come from a newer version
+			console.warn('load failed', e);
 			this.messages = [];
 			this.lastSaved = null;
+			this.loadReport = { from: null, to: SCHEMA_VERSION, migrated: [], rejected: [], error: e?.message || String(e) };
 		}
 	}
 
@@ -98,12 +235,14 @@ export class Model {
 	 * 
 	 * @param {string} text - Message content
 	 * @param {string} role - Message role ('user' or 'bot')
+	 * @param {Object} [meta={}] - Extra fields to store (e.g., { provider: 'gemini' } for bot replies)
 	 * @returns {Object|null} Created message object, or null if text is empty
 	 */
-	addMessage(text, role) {
+	addMessage(text, role, meta = {}) {
 		const t = String(text || '').trim();
 		if (!t) return null;
 		const msg = {
+			...meta,
 			id: makeId(),
 			text: t,
 			role,
@@ -111,6 +250,22 @@ export class Model {
 			edited: false
 		};
 		this.messages.push(msg);
+		// undoing a sent message also takes back the replies it got
+		let removed = [];
+		let at = -1;
+		this.history.push({
+			label: 'message added',
+			undo: () => {
+				at = this.messages.findIndex(x => x.id === msg.id);
+				if (at < 0) return;
+				let end = at + 1;
+				if (msg.role === 'user') while (end < this.messages.length && this.messages[end].role === 'bot') end++;
+				removed = this.messages.splice(at, end - at);
+			},
+			redo: () => {
+				if (at >= 0) this.messages.splice(Math.min(at, this.messages.length), 0, ...removed);
+			}
+		});
 		this.save();
 		this.notify();
 		return msg;
@@ -128,8 +283,190 @@ export class Model {
 		if (!m || m.role !== 'user') return false;
 		const t = String(newText || '').trim();
 		if (!t) return false;
+		const before = structuredClone(m);
+		m.text = t;
+		m.edited = true;
+		if (m.branches) Object.assign(m.branches[m.branch], { text: t, edited: true });
+		this.recordSwap('message edited', before, structuredClone(m));
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Fork the conversation at a user message: the current text and
+	 * everything after it are kept as a branch, and a new branch starts with
+	 * the edited text and nothing after it (ready for a fresh reply).
+	 * 
+	 * @param {string} id - User message ID
+	 * @param {string} newText - Edited text for the new branch
+	 * @returns {boolean} True if the fork was made
+	 */
+	forkAt(id, newText) {
+		const i = this.messages.findIndex(x => x.id === id);
+		const m = this.messages[i];
+		if (!m || m.role !== 'user') return false;
+		const t = String(newText || '').trim();
+		if (!t) return false;
+		this.recordBranches('conversation forked', id);
+		if (!m.branches) {
+			m.branches = [{ text: m.text, edited: m.edited, tail: null }];
+			m.branch = 0;
+		}
+		// park the old tail on its branch; the active branch's tail is this.messages
+		m.branches[m.branch] = { text: m.text, edited: m.edited, tail: this.messages.slice(i + 1) };
+		m.branches.push({ text: t, edited: true, tail: null });
+		m.branch = m.branches.length - 1;
 		m.text = t;
 		m.edited = true;
+		this.messages = this.messages.slice(0, i + 1);
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Switch a forked user message to another branch, swapping in that
+	 * branch's text and the messages that followed it.
+	 * 
+	 * @param {string} id - User message ID
+	 * @param {number} index - Branch index to activate
+	 * @returns {boolean} True if the branch changed
+	 */
+	selectBranch(id, index) {
+		const i = this.messages.findIndex(x => x.id === id);
+		const m = this.messages[i];
+		if (!m?.branches || index < 0 || index >= m.branches.length || index === m.branch) return false;
+		if (this.messages.some(x => x.status === 'pending')) return false;
+		this.recordBranches('branch switched', id);
+		m.branches[m.branch] = { text: m.text, edited: m.edited, tail: this.messages.slice(i + 1) };
+		const next = m.branches[index];
+		m.branches[index] = { text: next.text, edited: next.edited, tail: null };
+		m.text = next.text;
+		m.edited = next.edited;
+		m.branch = index;
+		this.messages = [...this.messages.slice(0, i + 1), ...(next.tail || [])];
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Add a placeholder bot message for a reply that is still in flight.
+	 * It is saved right away so a reload shows it as interrupted, not lost.
+	 * 
+	 * @param {Object} [meta={}] - Extra fields to store (e.g., { provider: 'gemini' })
+	 * @returns {Object} Created pending message
+	 */
+	addPending(meta = {}) {
+		const msg = {
+			...meta,
+			id: makeId(),
+			text: '',
+			role: 'bot',
+			status: 'pending',
+			timestamp: Date.now(),
+			edited: false
+		};
+		this.messages.push(msg);
+		this.save();
+		this.notify();
+		return msg;
+	}
+
+	/**
+	 * Settle a pending reply with its final text and status.
+	 * 
+	 * @param {string} id - Pending message ID
+	 * @param {Object} fields - Final fields, e.g. { text, status: 'done' | 'error' | 'cancelled', provider, settings, finish, usage, error }
+	 * @returns {boolean} True if the message was found and updated
+	 */
+	finishReply(id, fields) {
+		const m = this.messages.find(x => x.id === id);
+		if (!m || m.role !== 'bot') return false;
+		Object.assign(m, fields, { text: String(fields.text ?? m.text).trim() });
+		if (m.versions) m.versions[m.version] = snapshot(m);
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Start a new version of a bot reply (e.g., for Regenerate). Earlier
+	 * versions are kept as siblings; the new one becomes active and pending.
+	 * 
+	 * @param {string} id - Bot message ID
+	 * @param {Object} [meta={}] - Fields for the new version (e.g., { provider: 'gemini' })
+	 * @returns {boolean} True if a version was started
+	 */
+	beginVersion(id, meta = {}) {
+		const m = this.messages.find(x => x.id === id);
+		if (!m || m.role !== 'bot' || m.status === 'pending') return false;
+		if (!m.versions) {
+			m.versions = [snapshot(m)];
+			m.version = 0;
+		}
+		Object.assign(m, { text: '', status: 'pending', fallbackFrom: undefined, settings: undefined, finish: undefined, usage: undefined, error: undefined, timestamp: Date.now() }, meta);
+		m.versions.push(snapshot(m));
+		m.version = m.versions.length - 1;
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Add finished replies as further versions of a bot reply (e.g., the other
+	 * candidates of a multi-candidate answer). The active version stays.
+	 * 
+	 * @param {string} id - Bot message ID
+	 * @param {Array<Object>} list - Version fields, e.g. { text, provider, settings }
+	 * @returns {boolean} True if versions were added
+	 */
+	addVersions(id, list) {
+		const m = this.messages.find(x => x.id === id);
+		if (!m || m.role !== 'bot' || m.status === 'pending' || !list.length) return false;
+		if (!m.versions) {
+			m.versions = [snapshot(m)];
+			m.version = 0;
+		}
+		list.forEach(fields => {
+			m.versions.push(snapshot({ status: 'done', timestamp: m.timestamp, ...fields, text: String(fields.text ?? '').trim() }));
+		});
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Reopen a settled reply so more text can be streamed onto it (e.g., to
+	 * continue one cut off at the token limit). Its text and usage are kept.
+	 * 
+	 * @param {string} id - Bot message ID
+	 * @returns {boolean} True if the reply is pending again
+	 */
+	resumeReply(id) {
+		const m = this.messages.find(x => x.id === id);
+		if (!m || m.role !== 'bot' || m.status === 'pending') return false;
+		Object.assign(m, { status: 'pending', finish: undefined, error: undefined });
+		if (m.versions) m.versions[m.version] = snapshot(m);
+		this.save();
+		this.notify();
+		return true;
+	}
+
+	/**
+	 * Show a different version of a bot reply.
+	 * 
+	 * @param {string} id - Bot message ID
+	 * @param {number} index - Version index to activate
+	 * @returns {boolean} True if the version changed
+	 */
+	selectVersion(id, index) {
+		const m = this.messages.find(x => x.id === id);
+		if (!m?.versions || m.status === 'pending') return false;
+		if (index < 0 || index >= m.versions.length || index === m.version) return false;
+		Object.assign(m, m.versions[index]);
+		m.version = index;
 		this.save();
 		this.notify();
 		return true;
@@ -139,7 +476,14 @@ export class Model {
 	deleteMessage(id) {
 		const i = this.messages.findIndex(x => x.id === id);
 		if (i < 0) return false;
-		this.messages.splice(i, 1);
+		const [msg] = this.messages.splice(i, 1);
+		this.history.push({
+			label: 'message deleted',
+			undo: () => this.messages.splice(Math.min(i, this.messages.length), 0, msg),
+			redo: () => {
+				this.messages = this.messages.filter(x => x.id !== id);
+			}
+		});
 		this.save();
 		this.notify();
 		return true;
@@ -147,15 +491,102 @@ export class Model {
 
 	// delete all messages
 	clearAll() {
+		this.recordReplace('chat cleared', this.messages, []);
 		this.messages = [];
 		this.save();
 		this.notify();
 	}
 
+	/**
+	 * Record an edit of one message as swapping it between two copies.
+	 * 
+	 * @param {string} label - What changed
+	 * @param {Object} before - Copy of the message before the change
+	 * @param {Object} after - Copy of the message after the change
+	 */
+	recordSwap(label, before, after) {
+		const swap = copy => () => {
+			const i = this.messages.findIndex(x => x.id === copy.id);
+			if (i >= 0) this.messages[i] = structuredClone(copy);
+		};
+		this.history.push({ label, undo: swap(before), redo: swap(after) });
+	}
+
+	/**
+	 * Record a fork or branch switch, just before it is made. Undo and redo
+	 * swap the whole list and the forked message (which holds the other
+	 * branches) with what is shown at that moment, so a reply that arrived
+	 * after the fork is kept too.
+	 * 
+	 * @param {string} label - What changed
+	 * @param {string} id - Forked user message ID
+	 */
+	recordBranches(label, id) {
+		const snapshot = () => ({ list: [...this.messages], message: structuredClone(this.messages.find(x => x.id === id)) });
+		let other = snapshot();
+		const swap = () => {
+			const current = snapshot();
+			this.messages = other.list.map(x => x.id === id ? other.message : x);
+			other = current;
+		};
+		this.history.push({ label, undo: swap, redo: swap });
+	}
+
+	/**
+	 * Record a change that replaced the whole message list.
+	 * 
+	 * @param {string} label - What changed
+	 * @param {Array<Object>} before - Messages before the change
+	 * @param {Array<Object>} after - Messages after the change
+	 */
+	recordReplace(label, before, after) {
+		// copy the lists now; the live list keeps changing after this
+		before = [...before];
+		after = [...after];
+		this.history.push({
+			label,
+			undo: () => {
+				this.messages = [...before];
+			},
+			redo: () => {
+				this.messages = [...after];
+			}
+		});
+	}
+
+	/**
+	 * Undo the latest add, edit, delete, clear, import, fork or branch switch.
+	 * 
+	 * @returns {string|null} Label of what was undone, or null if nothing was
+	 */
+	undo() {
+		if (this.messages.some(m => m.status === 'pending')) return null;
+		const command = this.history.undo();
+		if (!command) return null;
+		this.save();
+		this.notify();
+		return command.label;
+	}
+
+	/**
+	 * Redo the latest undone change.
+	 * 
+	 * @returns {string|null} Label of what was redone, or null if nothing was
+	 */
+	redo() {
+		if (this.messages.some(m => m.status === 'pending')) return null;
+		const command = this.history.redo();
+		if (!command) return null;
+		this.save();
+		this.notify();
+		return command.label;
+	}
+
 	// export current state as pretty json
 	exportJson() {
 		return JSON.stringify(
 			{
+				schemaVersion: SCHEMA_VERSION,
 				messages: this.messages,
 				lastSaved: this.lastSaved
 			},
@@ -164,25 +595,97 @@ export class Model {
 		);
 	}
 
-	// import state from json with validation
-	importJson(text) {
+	/**
+	 * Import an exported chat, upgrading older exports. Messages that can't be
+	 * read are skipped and listed in the report.
+	 * 
+	 * @param {string} text - Exported JSON
+	 * @param {Object} [options] - Import options
+	 * @param {string} [options.mode='replace'] - 'replace' the chat, or 'merge' into it
+	 * @param {boolean} [options.dryRun=false] - Only report what would happen
+	 * @returns {Object} Upgrade report ({ from, to, migrated, rejected, mode, imported }),
+	 *   plus { added, duplicates, conflicts } when merging or { replaced } when replacing;
+	 *   `error` is set (and nothing changed) when the file can't be used
+	 */
+	importJson(text, options) {
+		let d;
 		try {
-			const d = JSON.parse(text);
-			if (!d || !Array.isArray(d.messages)) return false;
-			const ok = d.messages.every(m =>
-				m &&
-				m.id &&
-				typeof m.text === 'string' &&
-				(m.role === 'user' || m.role === 'bot')
-			);
-			if (!ok) return false;
-			this.messages = d.messages;
-			this.lastSaved = d.lastSaved || Date.now();
+			d = JSON.parse(text);
+		} catch (e) {
+			return { from: null, to: SCHEMA_VERSION, migrated: [], rejected: [], imported: 0, error: 'invalid json' };
+		}
+		return this.importPayload(d, options);
+	}
+
+	/**
+	 * Import a payload ({ schemaVersion?, messages, lastSaved? }), upgrading
+	 * and validating it like a saved chat.
+	 * 
+	 * @param {Object} d - Parsed payload
+	 * @param {Object} [options] - Import options, as for importJson
+	 * @returns {Object} Report, as for importJson
+	 */
+	importPayload(d, { mode = 'replace', dryRun = false } = {}) {
+		let result;
+		try {
+			result = upgrade(d);
+		} catch (e) {
+			return { from: null, to: SCHEMA_VERSION, migrated: [], rejected: [], imported: 0, error: e?.message || 'invalid file' };
+		}
+		const { payload, report } = result;
+		if (!payload.messages.length && report.rejected.length) {
+			return { ...report, imported: 0, error: 'no readable messages' };
+		}
+		const incoming = payload.messages.map(settleLoaded);
+
+		if (mode === 'merge') {
+			const merged = mergeMessages(this.messages, incoming);
+			const summary = { ...report, mode, imported: merged.added + merged.conflicts, added: merged.added, duplicates: merged.duplicates, conflicts: merged.conflicts };
+			if (dryRun || !summary.imported) return summary;
+			this.recordReplace('chat imported', this.messages, merged.messages);
+			this.messages = merged.messages;
 			this.save();
 			this.notify();
-			return true;
-		} catch {
-			return false;
+			return summary;
+		}
+
+		const summary = { ...report, mode: 'replace', imported: incoming.length, replaced: this.messages.length };
+		if (dryRun) return summary;
+		this.recordReplace('chat imported', this.messages, incoming);
+		this.messages = incoming;
+		this.lastSaved = payload.lastSaved || Date.now();
+		this.save();
+		this.notify();
+		return summary;
+	}
+
+	/**
+	 * Export the conversation as it is shown (active versions and branches) as Markdown.
+	 * 
+	 * @param {string} [title] - Conversation title for the top heading
+	 * @returns {string} Markdown transcript
+	 */
+	exportMarkdown(title) {
+		return toMarkdown(this.messages, { title });
+	}
+
+	/**
+	 * Import a Markdown transcript written by exportMarkdown. Its messages get
+	 * fresh ids, so merging recognizes them by role, time and text.
+	 * 
+	 * @param {string} text - Markdown text
+	 * @param {Object} [options] - Import options, as for importJson
+	 * @returns {Object} Report, as for importJson, plus the transcript's `title`
+	 */
+	importMarkdown(text, options) {
+		let parsed;
+		try {
+			parsed = fromMarkdown(text);
+		} catch (e) {
+			return { from: null, to: SCHEMA_VERSION, migrated: [], rejected: [], imported: 0, error: e.message };
 		}
+		const messages = parsed.messages.map(m => ({ ...m, id: makeId() }));
+		const report = this.importPayload({ schemaVersion: SCHEMA_VERSION, messages }, options);
+		return { ...report, title: parsed.title };
 	}
-}
\ No newline at end of file
+}
@@ -0,0 +1,193 @@
+/**
+ * Persona store - named system prompts that a conversation can pick to steer
+ * every provider that supports one. Personas live in localStorage; a few
+ * presets are seeded on first run and can be edited or deleted like any other.
+ *
+ * @class
+ */
+
+/**
+ * localStorage key for the persona list.
+ */
+const PERSONAS_KEY = 'ai_personas_v1';
+
+/**
+ * Version written to persona exports.
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Personas seeded on first run.
+ */
+export const PRESETS = [
+	{
+		id: 'code-reviewer',
+		name: 'Code reviewer',
+		prompt: 'You are a senior engineer reviewing a pull request. Point out bugs, unclear naming, missing error handling and missing tests, most important first. Quote the lines you mean, suggest a concrete fix for each point, and say plainly when the code is fine.'
+	},
+	{
+		id: 'sql-helper',
+		name: 'SQL helper',
+		prompt: 'You help write and debug SQL. Ask which database engine is used when it matters, answer with a single runnable query in a sql code block, then explain it briefly. Prefer explicit joins and column lists, and warn about full table scans and statements that modify data.'
+	},
+	{
+		id: 'release-notes',
+		name: 'Release notes writer',
+		prompt: 'You turn commit messages, changelogs and pull request titles into release notes for users. Group changes under Added, Changed, Fixed and Removed, write one short line per change in plain language, leave out internal refactors, and call out breaking changes first.'
+	}
+];
+
+/**
+ * Generate a unique persona ID.
+ *
+ * @returns {string} Unique ID
+ */
+const makeId = () => 'p' + Date.now().toString(36) + Math.random().toString(16).slice(2, 8);
+
+/**
+ * Read a persona from untrusted data (storage or an imported file).
+ *
+ * @param {Object} p - Candidate persona
+ * @returns {Object|null} { id, name, prompt }, or null if it isn't usable
+ */
+const clean = p => {
+	if (!p || typeof p !== 'object') return null;
+	const name = typeof p.name === 'string' ? p.name.trim() : '';
+	const prompt = typeof p.prompt === 'string' ? p.prompt.trim() : '';
+	if (!name || !prompt) return null;
+	const id = typeof p.id === 'string' && p.id ? p.id : makeId();
+	return { id, name, prompt };
+};
+
+export class PersonaStore {
+	/**
+	 * Create the store, loading saved personas (or seeding the presets).
+	 *
+	 * @param {Object} [options] - Configuration options
+	 * @param {string} [options.key='ai_personas_v1'] - localStorage key for the list
+	 */
+	constructor({ key = PERSONAS_KEY } = {}) {
+		this.key = key;
+		this.items = [];
+		this.load();
+	}
+
+	/**
+	 * Every persona, in the order they were added.
+	 *
+	 * @returns {Array<Object>} Copies of { id, name, prompt }
+	 */
+	list() {
+		return this.items.map(p => ({ ...p }));
+	}
+
+	/**
+	 * Find a persona by ID.
+	 *
+	 * @param {string} id - Persona ID
+	 * @returns {Object|undefined} { id, name, prompt }
+	 */
+	find(id) {
+		const p = id && this.items.find(item => item.id === id);
+		return p ? { ...p } : undefined;
+	}
+
+	/**
+	 * Add a persona, or update the one with the same ID.
+	 *
+	 * @param {Object} persona - { id?, name, prompt }
+	 * @returns {Object|null} The saved persona, or null when the name or prompt is empty
+	 */
+	save(persona) {
+		const p = clean(persona);
+		if (!p) return null;
+		const i = this.items.findIndex(item => item.id === p.id);
+		if (i >= 0) this.items[i] = p;
+		else this.items.push(p);
+		this.persist();
+		return { ...p };
+	}
+
+	/**
+	 * Delete a persona.
+	 *
+	 * @param {string} id - Persona ID
+	 * @returns {boolean} True if deleted
+	 */
+	remove(id) {
+		const before = this.items.length;
+		this.items = this.items.filter(p => p.id !== id);
+		if (this.items.length === before) return false;
+		this.persist();
+		return true;
+	}
+
+	/**
+	 * Export every persona as a JSON string.
+	 *
+	 * @returns {string} JSON export
+	 */
+	exportJson() {
+		return JSON.stringify({ personasVersion: EXPORT_VERSION, personas: this.items }, null, 2);
+	}
+
+	/**
+	 * Import personas from an export. Personas with a known ID replace the
+	 * saved one; the rest are added.
+	 *
+	 * @param {string} text - JSON export (or a bare array of personas)
+	 * @returns {Object} { added, updated, skipped, error } where error is set
+	 *   (and nothing changes) when the file isn't a persona export
+	 */
+	importJson(text) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch {
+			return { added: 0, updated: 0, skipped: 0, error: 'not valid json' };
+		}
+		const raw = Array.isArray(data) ? data : data?.personas;
+		if (!Array.isArray(raw)) return { added: 0, updated: 0, skipped: 0, error: 'no personas found' };
+
+		const report = { added: 0, updated: 0, skipped: 0, error: null };
+		raw.forEach(candidate => {
+			const p = clean(candidate);
+			if (!p) {
+				report.skipped++;
+				return;
+			}
+			const i = this.items.findIndex(item => item.id === p.id);
+			if (i >= 0) {
+				this.items[i] = p;
+				report.updated++;
+			} else {
+				this.items.push(p);
+				report.added++;
+			}
+		});
+		if (report.added || report.updated) this.persist();
+		return report;
+	}
+
+	// persist the list
+	persist() {
+		try {
+			localStorage.setItem(this.key, JSON.stringify(this.items));
+		} catch (e) {
+			console.warn('persona save failed', e);
+		}
+	}
+
+	// load the list; on first run (nothing saved yet) seed the presets
+	load() {
+		let saved = null;
+		try {
+			saved = JSON.parse(localStorage.getItem(this.key) || 'null');
+		} catch (e) {
+			console.warn('persona load failed', e);
+		}
+		this.items = Array.isArray(saved)
+			? saved.map(clean).filter(Boolean)
+			: PRESETS.map(p => ({ ...p }));
+	}
+}
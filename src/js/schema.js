@@ -0,0 +1,153 @@
+/**
+ * Chat payload schema - the version stamped on saved and exported chats, the
+ * migrations that bring older payloads up to it, and message validation that
+ * reports what it rejects instead of dropping it silently.
+ */
+
+/**
+ * Schema of the payloads this version writes. Payloads without a
+ * `schemaVersion` predate versioning and count as 0.
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Role names other tools (and early builds) used for our two roles.
+ */
+const ROLE_ALIASES = {
+	assistant: 'bot',
+	model: 'bot',
+	human: 'user'
+};
+
+const isObject = m => !!m && typeof m === 'object' && !Array.isArray(m);
+
+/**
+ * Apply a per-message step to a list and to the messages parked on branches.
+ *
+ * @param {Array<*>} messages - Messages (possibly malformed)
+ * @param {Function} fn - Returns the same message when unchanged, a new one otherwise
+ * @returns {Array<*>} Mapped messages
+ */
+const mapMessages = (messages, fn) => messages.map(m => {
+	if (!isObject(m)) return m;
+	let next = fn(m);
+	if (Array.isArray(next.branches)) {
+		const branches = next.branches.map(b => isObject(b) && Array.isArray(b.tail) ? { ...b, tail: mapMessages(b.tail, fn) } : b);
+		next = { ...next, branches };
+	}
+	return next;
+});
+
+/**
+ * Upgrade steps, in order. Each one upgrades a single message to `version`
+ * and returns it unchanged when there is nothing to do.
+ */
+export const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'normalized roles and filled in missing timestamps',
+		up: m => {
+			const role = ROLE_ALIASES[m.role] || m.role;
+			const timestamp = Number.isFinite(m.timestamp) ? m.timestamp : 0;
+			const edited = !!m.edited;
+			if (role === m.role && timestamp === m.timestamp && edited === m.edited) return m;
+			return { ...m, role, timestamp, edited };
+		}
+	},
+	{
+		version: 2,
+		description: 'gave bot replies a status (old "(error: ...)" replies became errors)',
+		up: m => {
+			if (m.role !== 'bot' || m.status) return m;
+			if (typeof m.text === 'string' && /^\(error: [\s\S]*\)$/.test(m.text)) {
+				return { ...m, text: '', status: 'error', error: m.text.slice(8, -1) };
+			}
+			return { ...m, status: 'done' };
+		}
+	}
+];
+
+/**
+ * Say what is wrong with a message, if anything. Reply versions and branches
+ * (including the messages parked on them) are checked too.
+ *
+ * @param {*} m - Candidate message
+ * @returns {string|null} Reason it can't be used, or null if it is fine
+ */
+export const messageProblem = m => {
+	if (!isObject(m)) return 'not a message';
+	if (!m.id) return 'missing id';
+	if (typeof m.text !== 'string') return 'text is not a string';
+	if (m.role !== 'user' && m.role !== 'bot') return `unknown role "${m.role}"`;
+	if (m.versions != null && !(
+		Array.isArray(m.versions) &&
+		m.versions.length > 0 &&
+		m.versions.every(v => v && typeof v.text === 'string') &&
+		Number.isInteger(m.version) && m.version >= 0 && m.version < m.versions.length
+	)) return 'invalid reply versions';
+	if (m.branches != null && !(
+		Array.isArray(m.branches) &&
+		m.branches.length > 0 &&
+		m.branches.every(b => b && typeof b.text === 'string' && (b.tail == null || (Array.isArray(b.tail) && b.tail.every(t => !messageProblem(t))))) &&
+		Number.isInteger(m.branch) && m.branch >= 0 && m.branch < m.branches.length
+	)) return 'invalid branches';
+	return null;
+};
+
+/**
+ * Bring a saved or imported payload up to SCHEMA_VERSION, one migration at a
+ * time, then keep the messages that are valid.
+ *
+ * @param {Object} d - Parsed payload ({ schemaVersion?, messages, lastSaved })
+ * @returns {Object} { payload, report } where report is
+ *   { from, to, migrated: [{ version, description, changed }], rejected: [{ index, id, reason }] }
+ * @throws {Error} If this is not a chat payload or it comes from a newer schema
+ */
+export function upgrade(d) {
+	if (!isObject(d) || !Array.isArray(d.messages)) throw new Error('not a chat export');
+	const from = Number.isInteger(d.schemaVersion) ? d.schemaVersion : 0;
+	if (from > SCHEMA_VERSION) throw new Error(`saved by a newer version of the app (schema ${from}, this one reads up to ${SCHEMA_VERSION})`);
+
+	let messages = d.messages;
+	const migrated = [];
+	MIGRATIONS.filter(step => step.version > from).forEach(step => {
+		let changed = 0;
+		messages = mapMessages(messages, m => {
+			const next = step.up(m);
+			if (next !== m) changed++;
+			return next;
+		});
+		migrated.push({ version: step.version, description: step.description, changed });
+	});
+
+	const rejected = [];
+	const valid = messages.filter((m, index) => {
+		const reason = messageProblem(m);
+		if (reason) rejected.push({ index, id: isObject(m) && m.id ? m.id : null, reason });
+		return !reason;
+	});
+
+	return {
+		payload: { ...d, schemaVersion: SCHEMA_VERSION, messages: valid },
+		report: { from, to: SCHEMA_VERSION, migrated, rejected }
+	};
+}
+
+/**
+ * One-line summary of an upgrade report for the user.
+ *
+ * @param {Object} report - Report from upgrade()
+ * @returns {string} Summary, empty when nothing happened
+ */
+export function summarizeReport(report) {
+	const parts = [];
+	const changed = report.migrated.filter(s => s.changed);
+	if (changed.length) {
+		parts.push(`upgraded from schema ${report.from} to ${report.to}: ` + changed.map(s => `${s.description} (${s.changed})`).join('; ') + '.');
+	}
+	if (report.rejected.length) {
+		const reasons = [...new Set(report.rejected.map(r => r.reason))].join(', ');
+		parts.push(`skipped ${report.rejected.length} unreadable message${report.rejected.length === 1 ? '' : 's'} (${reasons}).`);
+	}
+	return parts.join(' ');
+}
@@ -0,0 +1,152 @@
+/**
+ * Full-text search over every conversation. The index caches a lowercased
+ * copy of each message's text (recomputed only when the text changes), so
+ * refreshing it and running a query are single passes of cheap checks - a
+ * few milliseconds even for chats with thousands of messages.
+ *
+ * Query syntax: words must all appear (anywhere, any case); "quoted phrases"
+ * must appear as written (any case).
+ */
+
+/**
+ * Split a query into lowercase needles: quoted phrases and single words.
+ *
+ * @param {string} query - Search box text
+ * @returns {Array<string>} Needles, all of which must match
+ */
+export function parseQuery(query) {
+	const needles = [];
+	const rest = String(query || '').replace(/"([^"]*)"?/g, (_, phrase) => {
+		const p = phrase.trim().toLowerCase();
+		if (p) needles.push(p);
+		return ' ';
+	});
+	rest.split(/\s+/).forEach(word => {
+		if (word) needles.push(word.toLowerCase());
+	});
+	return [...new Set(needles)];
+}
+
+/**
+ * Where the needles occur in a text, merged and in order.
+ *
+ * @param {string} text - Text to look in
+ * @param {Array<string>} needles - Lowercase needles
+ * @returns {Array<Array<number>>} [start, end) pairs
+ */
+export function matchRanges(text, needles) {
+	const lower = String(text).toLowerCase();
+	const ranges = [];
+	needles.forEach(n => {
+		for (let i = lower.indexOf(n); i >= 0; i = lower.indexOf(n, i + n.length)) ranges.push([i, i + n.length]);
+	});
+	ranges.sort((a, b) => a[0] - b[0]);
+	return ranges.reduce((out, r) => {
+		const last = out[out.length - 1];
+		if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+		else out.push([...r]);
+		return out;
+	}, []);
+}
+
+/**
+ * A short excerpt around the first hit.
+ *
+ * @param {string} text - Message text
+ * @param {Array<string>} needles - Lowercase needles
+ * @param {number} [radius=40] - Characters of context before the hit
+ * @returns {string} Excerpt, with ellipses where text was cut
+ */
+export function snippet(text, needles, radius = 40) {
+	const flat = String(text).replace(/\s+/g, ' ');
+	const [first] = matchRanges(flat, needles);
+	const start = first ? Math.max(0, first[0] - radius) : 0;
+	const end = Math.min(flat.length, (first ? first[1] : 0) + radius * 2);
+	return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+/**
+ * Searchable copy of every conversation's messages.
+ *
+ * @class
+ */
+export class SearchIndex {
+	constructor() {
+		// conversation id -> { title, entries: [{ message, lower }] }
+		this.chats = new Map();
+		// message -> { text, lower }; messages are edited in place, so the text is compared on reuse
+		this.lowered = new WeakMap();
+	}
+
+	/**
+	 * (Re)index a conversation's messages.
+	 *
+	 * @param {string} chatId - Conversation ID
+	 * @param {string} title - Conversation title (shown with results)
+	 * @param {Array<Object>} messages - The conversation's messages
+	 */
+	update(chatId, title, messages) {
+		const entries = [];
+		messages.forEach(message => {
+			if (!message.text || message.status === 'pending') return;
+			let cached = this.lowered.get(message);
+			if (!cached || cached.text !== message.text) {
+				cached = { text: message.text, lower: message.text.toLowerCase() };
+				this.lowered.set(message, cached);
+			}
+			entries.push({ message, lower: cached.lower });
+		});
+		this.chats.set(chatId, { title, entries });
+	}
+
+	/**
+	 * Drop conversations that no longer exist.
+	 *
+	 * @param {Array<string>} ids - Conversation IDs to keep
+	 */
+	retain(ids) {
+		const keep = new Set(ids);
+		[...this.chats.keys()].forEach(id => {
+			if (!keep.has(id)) this.chats.delete(id);
+		});
+	}
+
+	/**
+	 * Providers seen in any conversation, for the filter menu.
+	 *
+	 * @returns {Array<string>} Provider names, sorted
+	 */
+	providers() {
+		const seen = new Set();
+		this.chats.forEach(c => c.entries.forEach(({ message }) => message.provider && seen.add(message.provider)));
+		return [...seen].sort();
+	}
+
+	/**
+	 * Find messages matching a query and filters, oldest first.
+	 *
+	 * @param {string} query - Search text (words and "phrases")
+	 * @param {Object} [filters] - Optional filters
+	 * @param {string} [filters.role] - 'user' or 'bot'
+	 * @param {string} [filters.provider] - Provider that answered
+	 * @param {number} [filters.from] - Earliest timestamp (ms)
+	 * @param {number} [filters.to] - Latest timestamp (ms)
+	 * @returns {Object} { needles, results: [{ chatId, title, id, role, provider, timestamp, text }] }
+	 */
+	query(query, { role = '', provider = '', from = null, to = null } = {}) {
+		const needles = parseQuery(query);
+		const results = [];
+		this.chats.forEach((chat, chatId) => {
+			chat.entries.forEach(({ message: m, lower }) => {
+				if (role && m.role !== role) return;
+				if (provider && m.provider !== provider) return;
+				if (from != null && m.timestamp < from) return;
+				if (to != null && m.timestamp > to) return;
+				if (!needles.every(n => lower.includes(n))) return;
+				results.push({ chatId, title: chat.title, id: m.id, role: m.role, provider: m.provider || '', timestamp: m.timestamp, text: m.text });
+			});
+		});
+		results.sort((a, b) => a.timestamp - b.timestamp);
+		return { needles, results };
+	}
+}
@@ -0,0 +1,225 @@
+/**
+ * Storage backends for chat models. Both speak the same small async interface:
+ *
+ * - `load(key)` resolves to the saved payload (`{ schemaVersion, messages, lastSaved }`) or null
+ * - `save(key, payload)` resolves once the payload is stored, rejects if it could not be
+ * - `remove(key)` deletes everything stored under the key
+ *
+ * IndexedDB is preferred (one record per message, so a save only writes what
+ * changed); localStorage is the fallback where IndexedDB is unavailable.
+ */
+
+/**
+ * Database holding every conversation's messages.
+ */
+const DB_NAME = 'chat-assistant';
+const DB_VERSION = 1;
+
+/**
+ * Id for a migrated message saved without one.
+ */
+const makeId = () => Date.now().toString(36) + Math.random().toString(16).slice(2);
+
+/**
+ * Tell whether a failed write was caused by the browser's storage quota.
+ *
+ * @param {Error} e - Error from a storage write
+ * @returns {boolean} True for quota errors
+ */
+export const isQuotaError = e =>
+	!!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} req - Request
+ * @returns {Promise<*>} Request result
+ */
+const done = req => new Promise((resolve, reject) => {
+	req.onsuccess = () => resolve(req.result);
+	req.onerror = () => reject(req.error);
+});
+
+/**
+ * Wait for an IndexedDB transaction to commit.
+ *
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>} Resolves on commit, rejects with the abort reason
+ */
+const finished = tx => new Promise((resolve, reject) => {
+	tx.oncomplete = () => resolve();
+	tx.onerror = tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+});
+
+/**
+ * Keeps each payload as one JSON string under its key.
+ *
+ * @class
+ */
+export class LocalStorageBackend {
+	constructor() {
+		this.name = 'localStorage';
+	}
+
+	async load(key) {
+		const raw = localStorage.getItem(key);
+		return raw ? JSON.parse(raw) : null;
+	}
+
+	async save(key, payload) {
+		localStorage.setItem(key, JSON.stringify(payload));
+	}
+
+	async remove(key) {
+		localStorage.removeItem(key);
+	}
+}
+
+/**
+ * Keeps each message as its own record (keyed by [chat key, message id]) plus
+ * one record per chat with the message order and save time. Payloads still in
+ * localStorage under the same key are moved over on first load.
+ *
+ * @class
+ */
+export class IndexedDbBackend {
+	/**
+	 * @param {IDBDatabase} db - Open database (see IndexedDbBackend.open)
+	 */
+	constructor(db) {
+		this.name = 'indexedDB';
+		this.db = db;
+		// last stored JSON per message, per chat key, to find what changed
+		this.stored = new Map();
+		// last queued write per chat key; writes to one key run one at a time
+		this.pending = new Map();
+	}
+
+	/**
+	 * Open (creating or upgrading) the database.
+	 *
+	 * @param {string} [name='chat-assistant'] - Database name
+	 * @returns {Promise<IndexedDbBackend>} Ready backend
+	 */
+	static async open(name = DB_NAME) {
+		const req = indexedDB.open(name, DB_VERSION);
+		req.onupgradeneeded = () => {
+			const db = req.result;
+			db.createObjectStore('chats', { keyPath: 'key' });
+			db.createObjectStore('messages', { keyPath: ['chat', 'id'] }).createIndex('chat', 'chat');
+		};
+		return new IndexedDbBackend(await done(req));
+	}
+
+	async load(key) {
+		return (await this.read(key)) || this.migrate(key);
+	}
+
+	// read the payload stored in the database under this key, or null
+	async read(key) {
+		const tx = this.db.transaction(['chats', 'messages'], 'readonly');
+		const [chat, records] = await Promise.all([
+			done(tx.objectStore('chats').get(key)),
+			done(tx.objectStore('messages').index('chat').getAll(key))
+		]);
+		if (!chat) return null;
+
+		const byId = new Map(records.map(r => [r.id, r.message]));
+		const messages = chat.order.map(id => byId.get(id)).filter(Boolean);
+		this.stored.set(key, new Map(messages.map(m => [m.id, JSON.stringify(m)])));
+		return { schemaVersion: chat.schemaVersion, messages, lastSaved: chat.lastSaved };
+	}
+
+	// move a payload saved in localStorage under this key into the database
+	async migrate(key) {
+		const raw = localStorage.getItem(key);
+		if (!raw) return null;
+		const d = JSON.parse(raw);
+		if (!d || !Array.isArray(d.messages)) return null;
+		// records need an id: give one to messages saved without; anything that
+		// is not a message at all is returned as-is so the model can report it
+		const messages = d.messages.map(m => m && typeof m === 'object' && !m.id ? { ...m, id: makeId() } : m);
+		const records = messages.filter(m => m && m.id);
+		await this.save(key, { schemaVersion: d.schemaVersion, messages: records, lastSaved: d.lastSaved || null });
+		// drop the old copy only once every message reads back from the database
+		const saved = await this.read(key);
+		if (saved && saved.messages.length === records.length && saved.messages.every((m, i) => m.id === records[i].id)) {
+			localStorage.removeItem(key);
+		} else {
+			console.warn('migrated chat did not read back, keeping it in localStorage', key);
+		}
+		return { ...d, messages };
+	}
+
+	/**
+	 * Run a write for a key once the previous write for that key has settled,
+	 * so each one diffs against what the last one committed.
+	 *
+	 * @param {string} key - Chat key
+	 * @param {Function} task - Performs the write
+	 * @returns {Promise<void>} Resolves or rejects with the task
+	 */
+	queue(key, task) {
+		const run = (this.pending.get(key) || Promise.resolve()).catch(() => {}).then(task);
+		this.pending.set(key, run);
+		const clear = () => {
+			if (this.pending.get(key) === run) this.pending.delete(key);
+		};
+		run.then(clear, clear);
+		return run;
+	}
+
+	async save(key, payload) {
+		// snapshot now; the caller keeps mutating its messages while earlier writes finish
+		const after = new Map(payload.messages.map(m => [m.id, JSON.stringify(m)]));
+		const chat = { key, order: payload.messages.map(m => m.id), lastSaved: payload.lastSaved, schemaVersion: payload.schemaVersion };
+
+		return this.queue(key, async () => {
+			const before = this.stored.get(key) || new Map();
+			const tx = this.db.transaction(['chats', 'messages'], 'readwrite');
+			const commit = finished(tx);
+			const store = tx.objectStore('messages');
+			try {
+				after.forEach((json, id) => {
+					if (before.get(id) !== json) store.put({ chat: key, id, message: JSON.parse(json) });
+				});
+				before.forEach((_, id) => {
+					if (!after.has(id)) store.delete([key, id]);
+				});
+				tx.objectStore('chats').put(chat);
+			} catch (e) {
+				tx.abort();
+				commit.catch(() => {});
+				throw e;
+			}
+			await commit;
+			// only remember what actually committed, so a failed write is retried next time
+			this.stored.set(key, after);
+		});
+	}
+
+	async remove(key) {
+		return this.queue(key, async () => {
+			const tx = this.db.transaction(['chats', 'messages'], 'readwrite');
+			// every [key, id] sorts between [key] and [key, []] (arrays sort after strings)
+			tx.objectStore('messages').delete(IDBKeyRange.bound([key], [key, []]));
+			tx.objectStore('chats').delete(key);
+			await finished(tx);
+			this.stored.delete(key);
+		});
+	}
+}
+
+/**
+ * Pick the best available backend: IndexedDB, or localStorage when it can't be opened.
+ *
+ * @returns {Promise<IndexedDbBackend|LocalStorageBackend>} Storage backend
+ */
+export async function openStorage() {
+	try {
+		if (typeof indexedDB !== 'undefined') return await IndexedDbBackend.open();
+	} catch (e) {
+		console.warn('indexeddb unavailable, falling back to localStorage', e);
+	}
+	return new LocalStorageBackend();
+}
@@ -0,0 +1,121 @@
+/**
+ * Markdown transcripts - writes a chat as readable Markdown (one heading per
+ * message, bodies verbatim so fenced code survives) and reads that same
+ * layout back into messages.
+ *
+ * Layout:
+ *
+ *     # Chat title
+ *
+ *     ### You · 2026-10-19T14:05:03.120Z
+ *
+ *     question text
+ *
+ *     ### Assistant · gemini · 2026-10-19T14:05:05.000Z
+ *
+ *     reply text
+ */
+
+/**
+ * Speaker names used in headings.
+ */
+const SPEAKERS = { user: 'You', bot: 'Assistant' };
+
+/**
+ * Heading labels for reply statuses (and back again on import).
+ */
+const STATUS_LABELS = { error: 'error', cancelled: 'stopped', interrupted: 'interrupted' };
+
+/**
+ * A message heading: speaker, optional labels, ISO timestamp.
+ */
+const HEADING = /^### (You|Assistant)((?: · [^\n]+?)*) · (\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)$/;
+
+/**
+ * Whether a body line is a heading, or a heading behind backslashes. Such
+ * lines get one more backslash on export and lose one on import, so a body
+ * that already had `\### You · …` comes back as written.
+ *
+ * @param {string} line - Body line
+ * @returns {boolean} True if the line needs escaping
+ */
+const headingLike = line => HEADING.test(line.replace(/^\\+/, ''));
+
+/**
+ * Write messages as a Markdown transcript. Pending replies are left out;
+ * only the versions and branches currently shown are included.
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} [options] - Export options
+ * @param {string} [options.title] - Conversation title for the top heading
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(messages, { title } = {}) {
+	const blocks = title ? [`# ${title}`] : [];
+	messages.filter(m => m.status !== 'pending').forEach(m => {
+		const labels = [];
+		if (m.provider) labels.push(m.provider);
+		if (STATUS_LABELS[m.status]) labels.push(STATUS_LABELS[m.status]);
+		if (m.edited) labels.push('edited');
+		const heading = ['### ' + SPEAKERS[m.role], ...labels, new Date(m.timestamp).toISOString()].join(' · ');
+
+		// body lines that would read as a heading, escaped or not, get a backslash in front
+		const body = m.text.split('\n').map(line => headingLike(line) ? '\\' + line : line);
+		if (m.status === 'error' && m.error) body.push('', `> error: ${m.error}`);
+		blocks.push(heading, body.join('\n').trim());
+	});
+	return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Read a Markdown transcript written by toMarkdown. Text before the first
+ * message heading (other than the title) is ignored.
+ *
+ * @param {string} text - Markdown text
+ * @returns {Object} { title, messages } where messages have no ids yet
+ * @throws {Error} If the text holds no message headings
+ */
+export function fromMarkdown(text) {
+	const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+	const titleLine = lines.find(line => line.trim());
+	const title = titleLine && /^# /.test(titleLine) ? titleLine.slice(2).trim() : '';
+
+	const messages = [];
+	let current = null;
+	const flush = () => {
+		if (!current) return;
+		const body = current.body.join('\n').trim();
+		const m = current.message;
+		const err = m.status === 'error' && body.match(/(?:^|\n)> error: (.*)$/);
+		m.text = (err ? body.slice(0, err.index) : body).trim();
+		if (err) m.error = err[1];
+		messages.push(m);
+	};
+
+	lines.forEach(line => {
+		const h = line.match(HEADING);
+		if (h) {
+			flush();
+			const labels = h[2] ? h[2].split(' · ').slice(1) : [];
+			const message = {
+				role: h[1] === 'You' ? 'user' : 'bot',
+				text: '',
+				timestamp: Date.parse(h[3]),
+				edited: labels.includes('edited')
+			};
+			labels.filter(l => l !== 'edited').forEach(l => {
+				const status = Object.keys(STATUS_LABELS).find(k => STATUS_LABELS[k] === l);
+				if (status) message.status = status;
+				else message.provider = l;
+			});
+			if (message.role === 'bot' && !message.status) message.status = 'done';
+			current = { message, body: [] };
+			return;
+		}
+		if (current) current.body.push(line.startsWith('\\') && headingLike(line) ? line.slice(1) : line);
+	});
+	flush();
+
+	if (!messages.length) throw new Error('no messages found in the markdown');
+	return { title, messages };
+}
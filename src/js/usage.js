@@ -0,0 +1,278 @@
+/**
+ * Token usage and cost - what each reply used (as reported by its provider
+ * and stored on the bot message), totals per conversation, provider and day,
+ * and the saved price table and daily budget. Prices are in US dollars per
+ * million tokens; models without a price count tokens but no cost.
+ */
+
+/**
+ * localStorage key for the price table and budget.
+ */
+const USAGE_KEY = 'ai_usage_v1';
+
+/**
+ * Prices seeded on first run (list prices per million tokens at the time of
+ * writing; edit them in the usage panel to match your plan).
+ */
+export const DEFAULT_PRICES = {
+	'gemini-2.5-pro': { input: 1.25, output: 10 },
+	'gemini-2.5-pro-preview-03-25': { input: 1.25, output: 10 },
+	'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+	'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+	'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+	'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+	'claude-opus-4-1-20250805': { input: 15, output: 75 }
+};
+
+/**
+ * A count of tokens, or 0 when missing or invalid.
+ *
+ * @param {*} n - Candidate count
+ * @returns {number} Whole, non-negative count
+ */
+const count = n => Number.isFinite(Number(n)) && Number(n) > 0 ? Math.round(Number(n)) : 0;
+
+/**
+ * A non-negative number, or null when unset or invalid.
+ *
+ * @param {*} value - Candidate value
+ * @returns {number|null} The number, or null
+ */
+const amount = value => {
+	if (value == null || value === '') return null;
+	const n = Number(value);
+	return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Add two usage records (either may be missing), e.g. a reply and its
+ * continuation.
+ *
+ * @param {Object} [a] - { input, output, total }
+ * @param {Object} [b] - { input, output, total }
+ * @returns {Object|undefined} Sum, or undefined when both are missing
+ */
+export function addUsage(a, b) {
+	if (!a && !b) return undefined;
+	return {
+		input: count(a?.input) + count(b?.input),
+		output: count(a?.output) + count(b?.output),
+		total: count(a?.total) + count(b?.total)
+	};
+}
+
+/**
+ * What a reply cost.
+ *
+ * @param {Object} usage - { input, output }
+ * @param {string} [model] - Model that made the reply
+ * @param {Object} prices - Price table (model -> { input, output } per million tokens)
+ * @returns {number|null} Cost in dollars, or null when the model has no price
+ */
+export function costOf(usage, model, prices) {
+	const price = model && prices[model];
+	if (!price) return null;
+	return (count(usage.input) * price.input + count(usage.output) * price.output) / 1e6;
+}
+
+/**
+ * Local calendar day of a timestamp, e.g. '2025-03-14'.
+ *
+ * @param {number} ts - Timestamp in ms
+ * @returns {string} Day key
+ */
+export function dayOf(ts) {
+	const d = new Date(ts);
+	return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Every reply that recorded usage, including earlier versions (a regenerated
+ * reply was still paid for) and replies on branches not currently shown.
+ *
+ * @param {Array<Object>} messages - Messages of a conversation
+ * @returns {Array<Object>} Reply versions carrying { usage, provider, settings, timestamp }
+ */
+const billed = messages => messages.flatMap(m => [
+	...(m.versions || [m]).filter(v => v?.usage),
+	...(m.branches || []).flatMap(b => b.tail ? billed(b.tail) : [])
+]);
+
+/**
+ * Running totals for one row of the usage panel.
+ *
+ * @returns {Object} { replies, input, output, total, cost, unpriced, priced }
+ */
+const emptyRow = () => ({ replies: 0, input: 0, output: 0, total: 0, cost: 0, unpriced: 0, priced: 0 });
+
+/**
+ * Total the usage of every conversation.
+ *
+ * @param {Array<Object>} chats - [{ id, title, messages }] (see ConversationManager.loadAll)
+ * @param {Object} prices - Price table
+ * @returns {Object} { total, conversations, providers, days } where total is a
+ *   row ({ replies, input, output, total, cost, unpriced, priced }), conversations
+ *   is [{ id, title, ...row }] in list order, providers is [{ provider, ...row }]
+ *   by most tokens, and days is [{ day, ...row }] newest first; unpriced counts
+ *   replies whose model has no price, and priced the tokens of those that have one
+ */
+export function summarizeUsage(chats, prices) {
+	const total = emptyRow();
+	const providers = new Map();
+	const days = new Map();
+	const conversations = chats.map(c => {
+		const row = { id: c.id, title: c.title, ...emptyRow() };
+		billed(c.messages).forEach(v => {
+			const provider = v.provider || 'unknown';
+			const day = dayOf(v.timestamp);
+			if (!providers.has(provider)) providers.set(provider, { provider, ...emptyRow() });
+			if (!days.has(day)) days.set(day, { day, ...emptyRow() });
+			const cost = costOf(v.usage, v.settings?.model, prices);
+			[total, row, providers.get(provider), days.get(day)].forEach(r => {
+				r.replies++;
+				r.input += count(v.usage.input);
+				r.output += count(v.usage.output);
+				r.total += count(v.usage.total);
+				if (cost == null) r.unpriced++;
+				else {
+					r.cost += cost;
+					r.priced += count(v.usage.total);
+				}
+			});
+		});
+		return row;
+	});
+	return {
+		total,
+		conversations: conversations.filter(r => r.replies),
+		providers: [...providers.values()].sort((a, b) => b.total - a.total),
+		days: [...days.values()].sort((a, b) => b.day.localeCompare(a.day))
+	};
+}
+
+/**
+ * Read a price table from untrusted data, keeping models with valid prices.
+ *
+ * @param {Object} raw - Candidate table
+ * @returns {Object} model -> { input, output }
+ */
+const cleanPrices = raw => {
+	const out = {};
+	Object.entries(raw && typeof raw === 'object' ? raw : {}).forEach(([model, p]) => {
+		const input = amount(p?.input);
+		const output = amount(p?.output);
+		if (model.trim() && input != null && output != null) out[model.trim()] = { input, output };
+	});
+	return out;
+};
+
+/**
+ * Read a daily budget from untrusted data.
+ *
+ * @param {Object} raw - Candidate { tokens, cost }
+ * @returns {Object} { tokens, cost }, null where no limit is set
+ */
+const cleanBudget = raw => {
+	const tokens = amount(raw?.tokens);
+	return { tokens: tokens == null ? null : Math.round(tokens), cost: amount(raw?.cost) };
+};
+
+/**
+ * Parse the price table as typed in the usage panel: one model per line,
+ * followed by its input and output price (e.g. 'gemini-2.5-flash 0.30 2.50').
+ *
+ * @param {string} text - Panel text
+ * @returns {{ prices: Object, skipped: Array<string> }} Table, and the lines that could not be read
+ */
+export function parsePrices(text) {
+	const prices = {};
+	const skipped = [];
+	String(text || '').split('\n').map(l => l.trim()).filter(Boolean).forEach(line => {
+		const [model, input, output, ...rest] = line.split(/\s+/);
+		const p = cleanPrices({ [model]: { input, output } })[model];
+		if (p && !rest.length) prices[model] = p;
+		else skipped.push(line);
+	});
+	return { prices, skipped };
+}
+
+/**
+ * The price table as panel text (see parsePrices).
+ *
+ * @param {Object} prices - Price table
+ * @returns {string} One line per model
+ */
+export const formatPrices = prices =>
+	Object.entries(prices).map(([model, p]) => `${model} ${p.input} ${p.output}`).join('\n');
+
+export class UsageStore {
+	/**
+	 * Create the store, loading the saved prices and budget.
+	 *
+	 * @param {Object} [options] - Configuration options
+	 * @param {string} [options.key='ai_usage_v1'] - localStorage key
+	 */
+	constructor({ key = USAGE_KEY } = {}) {
+		this.key = key;
+		this.prices = {};
+		// daily limits; null means no limit
+		this.budget = { tokens: null, cost: null };
+		this.load();
+	}
+
+	/**
+	 * Replace the price table.
+	 *
+	 * @param {Object} prices - model -> { input, output } per million tokens
+	 */
+	setPrices(prices) {
+		this.prices = cleanPrices(prices);
+		this.persist();
+	}
+
+	/**
+	 * Set the daily budget. It is soft: going over it asks before sending.
+	 *
+	 * @param {Object} budget - { tokens, cost }; empty values mean no limit
+	 */
+	setBudget(budget) {
+		this.budget = cleanBudget(budget);
+		this.persist();
+	}
+
+	/**
+	 * Which daily limits a day's totals have reached. Only tokens of priced
+	 * models count; local models cost nothing.
+	 *
+	 * @param {Object} [row] - The day's totals (see summarizeUsage)
+	 * @returns {Array<string>} 'tokens' and/or 'cost'; empty when within budget
+	 */
+	overBudget(row) {
+		if (!row) return [];
+		const over = [];
+		if (this.budget.tokens != null && row.priced >= this.budget.tokens) over.push('tokens');
+		if (this.budget.cost != null && row.cost >= this.budget.cost) over.push('cost');
+		return over;
+	}
+
+	// persist prices and budget
+	persist() {
+		try {
+			localStorage.setItem(this.key, JSON.stringify({ prices: this.prices, budget: this.budget }));
+		} catch (e) {
+			console.warn('usage settings save failed', e);
+		}
+	}
+
+	// load prices and budget; on first run (nothing saved yet) seed the prices
+	load() {
+		let saved = null;
+		try {
+			saved = JSON.parse(localStorage.getItem(this.key) || 'null');
+		} catch (e) {
+			console.warn('usage settings load failed', e);
+		}
+		this.prices = saved?.prices ? cleanPrices(saved.prices) : { ...DEFAULT_PRICES };
+		this.budget = cleanBudget(saved?.budget);
+	}
+}
@@ -4,6 +4,9 @@
  * 
  * @class
  */
+import { matchRanges, snippet } from './search.js';
+import { renderMarkdown } from './markdown.js';
+import { describeSettings } from './generation.js';
 
 /**
  * Format timestamp as HH:MM time string.
@@ -27,6 +30,71 @@ const fmtSaved = ms => {
 	return `Saved: ${hhmm}`;
 };
 
+/**
+ * Format a token count with digit grouping.
+ * 
+ * @param {number} n - Tokens
+ * @returns {string} Formatted count (e.g., '12,345')
+ */
+const fmtTokens = n => n.toLocaleString();
+
+/**
+ * Format the cost of a usage row; replies on unpriced models add nothing.
+ * 
+ * @param {Object} row - { replies, cost, unpriced } (see summarizeUsage)
+ * @returns {string} E.g. '$0.0123', or '—' when no reply had a price
+ */
+const fmtCost = row => row.unpriced === row.replies ? '—' : `$${row.cost.toFixed(row.cost < 1 ? 4 : 2)}`;
+
+/**
+ * Bubble text for settled replies that carry no text of their own.
+ */
+const STATUS_TEXT = {
+	error: 'the reply failed.',
+	cancelled: 'reply cancelled.',
+	interrupted: 'reply interrupted before it finished.'
+};
+
+/**
+ * Note under a reply that was cut short, by how it ended (see GeminiService).
+ */
+const FINISH_NOTE = {
+	length: () => 'cut off at the token limit.',
+	safety: (m, f) => `stopped by ${m.provider || 'the provider'}'s safety filter (${f.category || 'safety'}).`
+};
+
+/**
+ * Meta labels shown next to the timestamp for replies that did not finish normally.
+ */
+const STATUS_LABEL = {
+	error: 'error',
+	cancelled: 'stopped',
+	interrupted: 'interrupted'
+};
+
+/**
+ * Banner text for a failed save.
+ * 
+ * @param {Object} err - Storage error from the model ({ quota, message })
+ * @returns {string} Warning for the user
+ */
+const storageWarning = err => err.quota
+	? 'storage is full, so recent changes are not saved. export and delete old chats to free space.'
+	: `could not save this chat: ${err.message}`;
+
+/**
+ * Banner text when a saved chat could not be read in full.
+ * 
+ * @param {Object} report - Load report from the model
+ * @returns {string} Warning, or '' when everything loaded
+ */
+const loadWarning = report => {
+	if (!report) return '';
+	if (report.error) return `could not read this saved chat: ${report.error}`;
+	const n = report.rejected.length;
+	return n ? `${n} saved message${n === 1 ? '' : 's'} could not be read and ${n === 1 ? 'was' : 'were'} skipped.` : '';
+};
+
 /**
  * Helper to create DOM elements with optional class and text.
  * 
@@ -42,6 +110,44 @@ const el = (tag, cls, text) => {
 	return n;
 };
 
+/**
+ * Wrap search hits inside an element in <mark>, leaving its markup intact
+ * (hits are found per text node; button labels and rendered math are left alone).
+ * 
+ * @param {HTMLElement} root - Element to highlight in
+ * @param {Array<string>} needles - Lowercase search terms
+ */
+const markMatches = (root, needles) => {
+	if (!needles?.length) return;
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+		acceptNode: node => node.parentElement?.closest('button, math') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+	});
+	const nodes = [];
+	while (walker.nextNode()) nodes.push(walker.currentNode);
+	nodes.forEach(node => {
+		const ranges = matchRanges(node.data, needles);
+		if (!ranges.length) return;
+		const frag = document.createDocumentFragment();
+		let pos = 0;
+		ranges.forEach(([start, end]) => {
+			frag.append(node.data.slice(pos, start), el('mark', 'hit', node.data.slice(start, end)));
+			pos = end;
+		});
+		frag.append(node.data.slice(pos));
+		node.replaceWith(frag);
+	});
+};
+
+/**
+ * Search results shown at most (the rest stay reachable with the arrow keys).
+ */
+const SEARCH_ROWS = 200;
+
+/**
+ * Value of the persona menu's last option, which opens the persona manager.
+ */
+const MANAGE_PERSONAS = '__manage';
+
 /**
  * View - handles all DOM creation, events, and rendering based on model state.
  * Implements the MVC pattern's view layer: pure UI logic, no business logic.
@@ -57,17 +163,97 @@ export class View {
 		this.list = document.getElementById('messages');
 		this.form = document.getElementById('chat-form');
 		this.input = document.getElementById('chat-input');
+		this.stopBtn = document.getElementById('stop-btn');
 		this.chatWindow = document.querySelector('.chat-window');
 
 		this.msgCount = document.getElementById('msg-count');
 		this.lastSaved = document.getElementById('last-saved');
-		this.exportBtn = document.getElementById('export-btn');
+		this.storageWarning = document.getElementById('storage-warning');
+
+		// transient notice with an action (e.g. "Message deleted — Undo")
+		this.toast = document.getElementById('toast');
+		this.toastText = this.toast?.querySelector('.toast-text');
+		this.toastAction = this.toast?.querySelector('.toast-action');
+		this.toastTimer = null;
+		this.countdownTimer = null;
+		this.onToastAction = null;
+		this.exportSelect = document.getElementById('export-format');
 		this.importBtn = document.getElementById('import-btn');
 		this.clearBtn = document.getElementById('clear-btn');
 		this.fileInput = document.getElementById('file-input');
 
+		// conversation picker for other tools' exports
+		this.importDialog = document.getElementById('import-dialog');
+		this.importHeading = document.getElementById('import-heading');
+		this.importList = document.getElementById('import-list');
+		this.importAll = document.getElementById('import-all');
+
+		// merge/replace choice (with a preview) for imports into a non-empty chat
+		this.mergeDialog = document.getElementById('merge-dialog');
+		this.mergeDiff = document.getElementById('merge-diff');
+		this.replaceNote = document.getElementById('replace-note');
+
 		// new: provider select
 		this.aiSelect = document.getElementById('ai-select');
+		this.modelSelect = document.getElementById('model-select');
+
+		// persona menu (the shown value is the open chat's persona) and its manager
+		this.personaSelect = document.getElementById('persona-select');
+		this.personaCurrent = '';
+		this.personaDialog = document.getElementById('persona-dialog');
+		this.personaPick = document.getElementById('persona-pick');
+		this.personaName = document.getElementById('persona-name');
+		this.personaPrompt = document.getElementById('persona-prompt');
+		this.personaDelete = document.getElementById('persona-delete');
+		this.personaFile = document.getElementById('persona-file');
+		this.personaDrafts = [];
+
+		// generation settings panel for the open chat
+		this.settingsBtn = document.getElementById('settings-btn');
+		this.settingsDialog = document.getElementById('settings-dialog');
+		this.settingsModels = document.getElementById('settings-models');
+		this.settingsTemperature = document.getElementById('settings-temperature');
+		this.settingsTopP = document.getElementById('settings-top-p');
+		this.settingsMaxTokens = document.getElementById('settings-max-tokens');
+		this.settingsStop = document.getElementById('settings-stop');
+		this.settingsCandidates = document.getElementById('settings-candidates');
+
+		// usage panel: totals, daily budget and prices
+		this.usageBtn = document.getElementById('usage-btn');
+		this.usageDialog = document.getElementById('usage-dialog');
+		this.usageTotal = document.getElementById('usage-total');
+		this.usageTables = document.getElementById('usage-tables');
+		this.usageBudgetTokens = document.getElementById('usage-budget-tokens');
+		this.usageBudgetCost = document.getElementById('usage-budget-cost');
+		this.usagePrices = document.getElementById('usage-prices');
+
+		// conversation sidebar
+		this.convList = document.getElementById('conversation-list');
+		this.newChatBtn = document.getElementById('new-chat-btn');
+
+		// search across conversations
+		this.searchInput = document.getElementById('search-input');
+		this.searchRole = document.getElementById('search-role');
+		this.searchProvider = document.getElementById('search-provider');
+		this.searchFrom = document.getElementById('search-from');
+		this.searchTo = document.getElementById('search-to');
+		this.searchStatus = document.getElementById('search-status');
+		this.searchResults = document.getElementById('search-results');
+		this.searchTimer = null;
+
+		// terms to highlight in bubbles, and the message of the current result
+		// (scrolled into view once, on the next render)
+		this.highlight = null;
+		this.hitId = null;
+		this.scrollToHit = false;
+
+		// text received so far for the pending reply ({ id, text } or null);
+		// only the final text is stored in the model
+		this.stream = null;
+
+		// true while an ai request is in flight (send disabled, stop + escape abort it)
+		this.pending = false;
+		this.sendBtn = this.form.querySelector('button[type="submit"]');
 
 		// event callbacks wired by controller
 		this.onSend = null;
@@ -76,9 +262,36 @@ export class View {
 		this.onExport = null;
 		this.onImport = null;
 		this.onClear = null;
+		this.onStop = null;
+		this.onRegenerate = null;
+		this.onContinue = null;
+		this.onVersion = null;
+		this.onBranch = null;
 		this.onAiChange = null;
+		this.onModelChange = null;
+		this.onPersonaChange = null;
+		this.onManagePersonas = null;
+		this.onExportPersonas = null;
+		this.onImportPersonas = null;
+		this.onSettings = null;
+		this.onUsage = null;
+
+		// conversation sidebar
+		this.onNewConversation = null;
+		this.onOpenConversation = null;
+		this.onRenameConversation = null;
+		this.onDuplicateConversation = null;
+		this.onPinConversation = null;
+		this.onDeleteConversation = null;
+
+		// search
+		this.onSearch = null;
+		this.onSearchStep = null;
+		this.onSearchPick = null;
 
 		// keyboard shortcuts
+		this.onUndo = null;
+		this.onRedo = null;
 		this.onClearInput = null;
 		this.onCancelEdit = null;
 		this.onEditLast = null;
@@ -87,11 +300,51 @@ export class View {
 		this.form.addEventListener('submit', e => {
 			e.preventDefault();
 			const t = this.input.value.trim();
-			if (!t) return;
+			if (!t || this.pending) return;
 			if (!this.onSend) return;
 			this.onSend(t);
 		});
 
+		// stop the in-flight reply
+		this.stopBtn?.addEventListener('click', e => {
+			e.preventDefault();
+			if (this.onStop) this.onStop();
+		});
+
+		// escape anywhere on the page stops a pending reply
+		document.addEventListener('keydown', e => {
+			if (e.key !== 'Escape' || !this.pending || e.target === this.input) return;
+			e.preventDefault();
+			if (this.onStop) this.onStop();
+		});
+
+		// ctrl/cmd + z undoes and ctrl/cmd + shift + z redoes when focus is
+		// outside any text field (the chat input handles its own)
+		document.addEventListener('keydown', e => {
+			if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+			if (e.target.closest?.('input, textarea, select, [contenteditable], dialog')) return;
+			e.preventDefault();
+			this.undoShortcut(e.shiftKey);
+		});
+
+		this.toastAction?.addEventListener('click', () => {
+			const action = this.onToastAction;
+			this.hideToast();
+			if (action) action();
+		});
+
+		// clicking a formula (or enter/space on it) flips between math and its LaTeX source
+		this.list.addEventListener('click', e => {
+			const math = e.target.closest('.math[role="button"]');
+			if (math) this.toggleMath(math);
+		});
+		this.list.addEventListener('keydown', e => {
+			const math = e.target.closest?.('.math[role="button"]');
+			if (!math || (e.key !== 'Enter' && e.key !== ' ')) return;
+			e.preventDefault();
+			this.toggleMath(math);
+		});
+
 		// actions for dynamic messages
 		this.list.addEventListener('click', e => {
 			const btn = e.target.closest('button[data-action]');
@@ -100,12 +353,21 @@ export class View {
 			if (!id) return;
 			if (btn.dataset.action === 'edit' && this.onEdit) this.onEdit(id);
 			if (btn.dataset.action === 'delete' && this.onDelete) this.onDelete(id);
+			if (btn.dataset.action === 'regenerate' && this.onRegenerate) this.onRegenerate(id);
+			if (btn.dataset.action === 'continue' && this.onContinue) this.onContinue(id);
+			if (btn.dataset.action === 'prev-version' && this.onVersion) this.onVersion(id, -1);
+			if (btn.dataset.action === 'next-version' && this.onVersion) this.onVersion(id, 1);
+			if (btn.dataset.action === 'prev-branch' && this.onBranch) this.onBranch(id, -1);
+			if (btn.dataset.action === 'next-branch' && this.onBranch) this.onBranch(id, 1);
+			if (btn.dataset.action === 'copy-code') this.copyCode(btn);
 		});
 
 		// topbar controls
-		this.exportBtn.addEventListener('click', e => {
-			e.preventDefault();
-			if (this.onExport) this.onExport();
+		// picking a format exports right away, then the menu shows "Export" again
+		this.exportSelect.addEventListener('change', () => {
+			const format = this.exportSelect.value;
+			this.exportSelect.value = '';
+			if (format && this.onExport) this.onExport(format);
 		});
 
 		this.importBtn.addEventListener('click', e => {
@@ -115,6 +377,13 @@ export class View {
 
 		this.fileInput.addEventListener('change', () => this.handleFile());
 
+		// "select all" in the import picker
+		this.importAll?.addEventListener('change', () => {
+			this.importList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+				box.checked = this.importAll.checked;
+			});
+		});
+
 		this.clearBtn.addEventListener('click', e => {
 			e.preventDefault();
 			if (this.onClear) this.onClear();
@@ -125,6 +394,102 @@ export class View {
 			if (this.onAiChange) this.onAiChange(this.aiSelect.value);
 		});
 
+		// model pick for self-hosted providers
+		this.modelSelect?.addEventListener('change', () => {
+			if (this.onModelChange) this.onModelChange(this.modelSelect.value);
+		});
+
+		// persona pick for the open chat; the last option opens the manager instead
+		this.personaSelect?.addEventListener('change', () => {
+			const value = this.personaSelect.value;
+			if (value === MANAGE_PERSONAS) {
+				this.personaSelect.value = this.personaCurrent;
+				if (this.onManagePersonas) this.onManagePersonas();
+				return;
+			}
+			this.personaCurrent = value;
+			if (this.onPersonaChange) this.onPersonaChange(value || null);
+		});
+
+		// persona manager: picking a persona loads it for editing
+		this.personaPick?.addEventListener('change', () => this.showPersonaDraft());
+		document.getElementById('persona-export')?.addEventListener('click', () => {
+			if (this.onExportPersonas) this.onExportPersonas();
+		});
+		document.getElementById('persona-import')?.addEventListener('click', () => this.personaFile.click());
+		this.personaFile?.addEventListener('change', async () => {
+			const f = this.personaFile.files?.[0];
+			if (!f) return;
+			const text = await f.text();
+			this.personaFile.value = '';
+			if (this.onImportPersonas) this.onImportPersonas(text);
+		});
+
+		this.settingsBtn?.addEventListener('click', e => {
+			e.preventDefault();
+			if (this.onSettings) this.onSettings();
+		});
+
+		this.usageBtn?.addEventListener('click', e => {
+			e.preventDefault();
+			if (this.onUsage) this.onUsage();
+		});
+
+		// conversation sidebar: new chat plus per-conversation actions
+		this.newChatBtn?.addEventListener('click', e => {
+			e.preventDefault();
+			if (this.onNewConversation) this.onNewConversation();
+		});
+
+		this.convList?.addEventListener('click', e => {
+			const btn = e.target.closest('button[data-conv-action]');
+			if (!btn) return;
+			const id = btn.closest('li[data-conv-id]')?.dataset.convId;
+			if (!id) return;
+			const handler = {
+				open: this.onOpenConversation,
+				rename: this.onRenameConversation,
+				duplicate: this.onDuplicateConversation,
+				pin: this.onPinConversation,
+				delete: this.onDeleteConversation
+			}[btn.dataset.convAction];
+			if (handler) handler(id);
+		});
+
+		// search as you type (debounced); filters apply right away
+		this.searchInput?.addEventListener('input', () => {
+			clearTimeout(this.searchTimer);
+			this.searchTimer = setTimeout(() => this.emitSearch(), 150);
+		});
+		this.searchInput?.addEventListener('focus', () => this.emitSearch());
+		[this.searchRole, this.searchProvider, this.searchFrom, this.searchTo].forEach(input => {
+			input?.addEventListener('change', () => this.emitSearch());
+		});
+
+		// enter / arrow down go to the next result, shift+enter / arrow up to
+		// the previous one, escape clears the search
+		this.searchInput?.addEventListener('keydown', e => {
+			const step = { ArrowDown: 1, ArrowUp: -1, Enter: e.shiftKey ? -1 : 1 }[e.key];
+			if (step) {
+				e.preventDefault();
+				clearTimeout(this.searchTimer);
+				if (this.onSearchStep) this.onSearchStep(step);
+				return;
+			}
+			if (e.key === 'Escape' && this.searchInput.value) {
+				// don't let the page-wide escape stop a pending reply
+				e.preventDefault();
+				e.stopPropagation();
+				this.searchInput.value = '';
+				this.emitSearch();
+			}
+		});
+
+		this.searchResults?.addEventListener('click', e => {
+			const row = e.target.closest('li[data-index]');
+			if (row && this.onSearchPick) this.onSearchPick(Number(row.dataset.index));
+		});
+
 		// keyboard shortcuts bound on input for a natural feel
 		this.input.addEventListener('keydown', e => {
 			// ctrl/cmd + k clears input quickly
@@ -133,10 +498,20 @@ export class View {
 				if (this.onClearInput) this.onClearInput();
 				return;
 			}
-			// esc cancels inline edit and clears box
+			// ctrl/cmd + z (shift to redo) undoes chat changes; while typing it undoes the typing
+			if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && this.input.value === '') {
+				e.preventDefault();
+				this.undoShortcut(e.shiftKey);
+				return;
+			}
+			// esc stops a pending reply, otherwise cancels inline edit and clears box
 			if (e.key === 'Escape') {
 				e.preventDefault();
-				if (this.onCancelEdit) this.onCancelEdit();
+				if (this.pending) {
+					if (this.onStop) this.onStop();
+				} else if (this.onCancelEdit) {
+					this.onCancelEdit();
+				}
 				return;
 			}
 			// arrow up/down loads last user message for quick editing when box is empty
@@ -150,6 +525,148 @@ export class View {
 		if (this.chatWindow) this.chatWindow.style.overflowX = 'hidden';
 	}
 
+	// hand the search box and filters to the controller
+	emitSearch() {
+		clearTimeout(this.searchTimer);
+		if (this.onSearch) this.onSearch(this.searchInput?.value || '', this.searchFilters());
+	}
+
+	/**
+	 * Read the search filters. Dates are whole local days.
+	 * 
+	 * @returns {Object} { role, provider, from, to } (from/to in ms, or null)
+	 */
+	searchFilters() {
+		const day = (input, time) => input?.value ? new Date(`${input.value}T${time}`).getTime() : null;
+		return {
+			role: this.searchRole?.value || '',
+			provider: this.searchProvider?.value || '',
+			from: day(this.searchFrom, '00:00:00'),
+			to: day(this.searchTo, '23:59:59.999')
+		};
+	}
+
+	/**
+	 * Show search results in place of the conversation list, or the list
+	 * again when there is no search.
+	 * 
+	 * @param {Object|null} search - { results, index, needles }, or null when no search is set
+	 * @param {Array<string>} [providers=[]] - Providers to offer in the filter menu
+	 */
+	renderSearch(search, providers = []) {
+		if (!this.searchResults) return;
+		if (this.searchProvider) {
+			const picked = this.searchProvider.value;
+			const any = el('option', null, 'any');
+			any.value = '';
+			this.searchProvider.replaceChildren(any, ...[...new Set([...providers, picked].filter(Boolean))].map(name => {
+				const o = el('option', null, name);
+				o.value = name;
+				return o;
+			}));
+			this.searchProvider.value = picked;
+		}
+
+		this.searchResults.hidden = !search;
+		this.searchStatus.hidden = !search;
+		if (this.convList) this.convList.hidden = !!search;
+		if (!search) {
+			this.searchResults.replaceChildren();
+			return;
+		}
+
+		const { results, index, needles } = search;
+		const n = results.length;
+		this.searchStatus.textContent = !n ? 'no matches'
+			: index >= 0 ? `${index + 1} of ${n}` : `${n} result${n === 1 ? '' : 's'}`;
+		this.searchResults.replaceChildren(...results.slice(0, SEARCH_ROWS).map((r, i) => {
+			const li = el('li', 'search-result');
+			li.dataset.index = String(i);
+			if (i === index) {
+				li.classList.add('current');
+				li.setAttribute('aria-current', 'true');
+			}
+			const text = el('button', 'result-snippet', snippet(r.text, needles));
+			markMatches(text, needles);
+			const who = r.role === 'user' ? 'you' : (r.provider || 'assistant');
+			li.append(text, el('span', 'result-meta', `${r.title} · ${who} · ${new Date(r.timestamp).toLocaleDateString()}`));
+			return li;
+		}));
+		this.searchResults.querySelector('li.current')?.scrollIntoView({ block: 'nearest' });
+	}
+
+	/**
+	 * Set what search highlights in the chat; the next render applies it.
+	 * 
+	 * @param {Array<string>|null} needles - Terms to mark, or null to stop highlighting
+	 * @param {string|null} hitId - Message of the current result (scrolled into view)
+	 */
+	setSearchHighlight(needles, hitId) {
+		this.highlight = needles?.length ? needles : null;
+		this.hitId = hitId;
+		this.scrollToHit = !!hitId;
+	}
+
+	// route an undo/redo shortcut to the controller
+	undoShortcut(redo) {
+		const handler = redo ? this.onRedo : this.onUndo;
+		if (handler) handler();
+	}
+
+	/**
+	 * Show a short-lived notice, optionally with an action button.
+	 * 
+	 * @param {string} text - Notice text
+	 * @param {string} [action] - Action button label (e.g. 'Undo')
+	 * @param {Function} [onAction] - Called when the action is clicked
+	 * @param {number} [ms=6000] - How long the notice stays up
+	 */
+	showToast(text, action, onAction, ms = 6000) {
+		if (!this.toast) return;
+		clearTimeout(this.toastTimer);
+		clearInterval(this.countdownTimer);
+		this.toastText.textContent = text;
+		this.toastAction.hidden = !action;
+		this.toastAction.disabled = false;
+		this.toastAction.textContent = action || '';
+		this.onToastAction = onAction || null;
+		this.toast.hidden = false;
+		this.toastTimer = setTimeout(() => this.hideToast(), ms);
+	}
+
+	/**
+	 * Show a notice that counts down before its action can be used (e.g. a
+	 * rate limit's wait before Retry). Once the wait is over the action stays
+	 * up for a few more seconds.
+	 * 
+	 * @param {Function} text - Given the seconds left (0 when done), returns the notice text
+	 * @param {number} ms - How long to wait
+	 * @param {string} action - Action button label
+	 * @param {Function} onAction - Called when the action is clicked
+	 */
+	showCountdown(text, ms, action, onAction) {
+		if (!this.toast) return;
+		const until = Date.now() + ms;
+		const tick = () => {
+			const left = Math.ceil((until - Date.now()) / 1000);
+			if (left > 0) {
+				this.toastText.textContent = text(left);
+				return;
+			}
+			this.showToast(text(0), action, onAction, 10000);
+		};
+		this.showToast(text(Math.ceil(ms / 1000)), action, onAction, ms + 10000);
+		this.toastAction.disabled = true;
+		this.countdownTimer = setInterval(tick, 1000);
+	}
+
+	hideToast() {
+		clearTimeout(this.toastTimer);
+		clearInterval(this.countdownTimer);
+		this.onToastAction = null;
+		if (this.toast) this.toast.hidden = true;
+	}
+
 	// focus helpers
 	focusInput() {
 		this.input?.focus();
@@ -163,17 +680,335 @@ export class View {
 		this.input.value = '';
 	}
 
+	/**
+	 * Toggle the pending-reply controls: Send is disabled and Stop shown.
+	 * 
+	 * @param {boolean} on - True while a request is pending
+	 */
+	setPending(on) {
+		this.pending = !!on;
+		if (this.stopBtn) this.stopBtn.hidden = !on;
+		if (this.sendBtn) this.sendBtn.disabled = !!on;
+	}
+
 	setProviderUI(provider) {
 		// keep the select in sync with controller's notion of provider
 		if (this.aiSelect) this.aiSelect.value = provider;
 	}
 
+	/**
+	 * Fill the model menu; an empty list hides it.
+	 * 
+	 * @param {Array<string>} models - Model ids to offer
+	 * @param {string} [current=''] - Model to show as selected
+	 */
+	setModelOptions(models, current = '') {
+		if (!this.modelSelect) return;
+		this.modelSelect.replaceChildren(...models.map(name => {
+			const o = el('option', null, name);
+			o.value = name;
+			return o;
+		}));
+		this.modelSelect.hidden = models.length === 0;
+		if (current) this.modelSelect.value = current;
+	}
+
+	/**
+	 * Fill the persona menu: no persona, each persona, then the manager entry.
+	 * 
+	 * @param {Array<Object>} personas - Personas ({ id, name })
+	 * @param {string|null} current - Persona of the open chat (null for none)
+	 */
+	setPersonaOptions(personas, current) {
+		if (!this.personaSelect) return;
+		const option = (value, label) => {
+			const o = el('option', null, label);
+			o.value = value;
+			return o;
+		};
+		this.personaCurrent = personas.some(p => p.id === current) ? current : '';
+		this.personaSelect.replaceChildren(
+			option('', 'No persona'),
+			...personas.map(p => option(p.id, p.name)),
+			option(MANAGE_PERSONAS, 'Manage personas…')
+		);
+		this.personaSelect.value = this.personaCurrent;
+	}
+
+	/**
+	 * Open the persona manager and wait for the user to save or delete one.
+	 * 
+	 * @param {Array<Object>} personas - Personas ({ id, name, prompt })
+	 * @param {string|null} selected - Persona to show first (null starts a new one)
+	 * @returns {Promise<Object|null>} { action: 'save'|'delete', id, name, prompt }
+	 *   (id is null for a new persona), or null if closed
+	 */
+	editPersonas(personas, selected) {
+		this.fillPersonaDialog(personas, selected);
+		return new Promise(resolve => {
+			this.personaDialog.returnValue = '';
+			this.personaDialog.addEventListener('close', () => {
+				const action = this.personaDialog.returnValue;
+				if (action !== 'save' && action !== 'delete') return resolve(null);
+				resolve({
+					action,
+					id: this.personaPick.value || null,
+					name: this.personaName.value,
+					prompt: this.personaPrompt.value
+				});
+			}, { once: true });
+			this.personaDialog.showModal();
+		});
+	}
+
+	/**
+	 * Refill the persona manager's list (e.g. after an import) and show one persona.
+	 * 
+	 * @param {Array<Object>} personas - Personas ({ id, name, prompt })
+	 * @param {string|null} [selected] - Persona to show (null starts a new one; defaults to the one shown)
+	 */
+	fillPersonaDialog(personas, selected = this.personaPick.value) {
+		this.personaDrafts = personas;
+		const fresh = el('option', null, 'New persona');
+		fresh.value = '';
+		this.personaPick.replaceChildren(...personas.map(p => {
+			const o = el('option', null, p.name);
+			o.value = p.id;
+			return o;
+		}), fresh);
+		this.personaPick.value = personas.some(p => p.id === selected) ? selected : '';
+		this.showPersonaDraft();
+	}
+
+	// load the persona picked in the manager into the name and prompt fields
+	showPersonaDraft() {
+		const p = this.personaDrafts.find(d => d.id === this.personaPick.value);
+		this.personaName.value = p?.name || '';
+		this.personaPrompt.value = p?.prompt || '';
+		this.personaDelete.hidden = !p;
+	}
+
+	/**
+	 * Mark the Settings button when the open chat changes any provider default.
+	 * 
+	 * @param {string} summary - What is set (empty when everything is default)
+	 */
+	setSettingsUI(summary) {
+		if (!this.settingsBtn) return;
+		this.settingsBtn.classList.toggle('customized', !!summary);
+		this.settingsBtn.title = summary ? `this chat uses: ${summary}` : 'provider defaults';
+	}
+
+	/**
+	 * Open the settings panel for the open chat and wait for a choice.
+	 * 
+	 * @param {Object} settings - Current settings ({ models, temperature, topP, maxTokens, stop })
+	 * @param {Array<Object>} providers - Providers with models ({ name, model, choices })
+	 *   where model is the service default and choices are suggested model ids
+	 * @param {number} [maxTemperature=2] - Highest temperature the active provider accepts
+	 * @returns {Promise<Object|null>} Raw settings from the form ({} after Reset), or null if cancelled
+	 */
+	editSettings(settings, providers, maxTemperature = 2) {
+		this.settingsModels.replaceChildren(this.settingsModels.querySelector('legend'), ...providers.map(p => {
+			const name = this.aiSelect?.querySelector(`option[value="${p.name}"]`)?.textContent || p.name;
+			const label = el('label', null, name);
+			const input = el('input');
+			input.type = 'text';
+			input.name = p.name;
+			input.autocomplete = 'off';
+			input.value = settings.models[p.name] || '';
+			input.placeholder = p.model ? `default (${p.model})` : 'default';
+			const list = el('datalist');
+			list.id = `settings-models-${p.name}`;
+			list.append(...p.choices.map(id => {
+				const o = el('option');
+				o.value = id;
+				return o;
+			}));
+			input.setAttribute('list', list.id);
+			label.append(input, list);
+			return label;
+		}));
+		const show = v => v == null ? '' : String(v);
+		this.settingsTemperature.max = String(maxTemperature);
+		this.settingsTemperature.value = show(settings.temperature);
+		this.settingsTopP.value = show(settings.topP);
+		this.settingsMaxTokens.value = show(settings.maxTokens);
+		this.settingsStop.value = settings.stop.join('\n');
+		this.settingsCandidates.value = show(settings.candidates);
+
+		return new Promise(resolve => {
+			this.settingsDialog.returnValue = '';
+			this.settingsDialog.addEventListener('close', () => {
+				const choice = this.settingsDialog.returnValue;
+				if (choice === 'reset') return resolve({});
+				if (choice !== 'save') return resolve(null);
+				resolve({
+					models: Object.fromEntries([...this.settingsModels.querySelectorAll('input')].map(i => [i.name, i.value])),
+					temperature: this.settingsTemperature.value,
+					topP: this.settingsTopP.value,
+					maxTokens: this.settingsMaxTokens.value,
+					stop: this.settingsStop.value.split('\n'),
+					candidates: this.settingsCandidates.value
+				});
+			}, { once: true });
+			this.settingsDialog.showModal();
+		});
+	}
+
+	/**
+	 * Open the usage panel: totals per conversation, provider and day, with
+	 * the daily budget and price table to edit.
+	 * 
+	 * @param {Object} summary - Totals (see summarizeUsage)
+	 * @param {string} prices - Price table as text (see formatPrices)
+	 * @param {Object} budget - { tokens, cost }, null where unset
+	 * @returns {Promise<Object|null>} { prices, budget } as typed when saved, or null
+	 */
+	showUsage(summary, prices, budget) {
+		const { total } = summary;
+		this.usageTotal.textContent = total.replies
+			? `${fmtTokens(total.total)} tokens over ${total.replies} ${total.replies === 1 ? 'reply' : 'replies'}, ${fmtCost(total)} in all.`
+			: 'no token usage recorded yet. replies from gemini, claude and local models are counted.';
+		const table = (caption, rows, label) => {
+			const t = el('table', 'usage-table');
+			t.append(el('caption', null, caption));
+			const head = el('tr');
+			['', 'Replies', 'Input', 'Output', 'Total', 'Cost'].forEach(h => head.append(el('th', null, h)));
+			t.append(head);
+			rows.forEach(r => {
+				const tr = el('tr');
+				tr.append(el('th', null, label(r)));
+				[r.replies, r.input, r.output, r.total].forEach(n => tr.append(el('td', null, fmtTokens(n))));
+				const cost = el('td', null, fmtCost(r));
+				if (r.unpriced && r.unpriced < r.replies) cost.title = `${r.unpriced} replies from models without a price`;
+				tr.append(cost);
+				t.append(tr);
+			});
+			return t;
+		};
+		this.usageTables.replaceChildren(...(total.replies ? [
+			table('By conversation', summary.conversations, r => r.title),
+			table('By provider', summary.providers, r => r.provider),
+			table('By day', summary.days, r => r.day)
+		] : []));
+		const show = v => v == null ? '' : String(v);
+		this.usageBudgetTokens.value = show(budget.tokens);
+		this.usageBudgetCost.value = show(budget.cost);
+		this.usagePrices.value = prices;
+
+		return new Promise(resolve => {
+			this.usageDialog.returnValue = '';
+			this.usageDialog.addEventListener('close', () => {
+				if (this.usageDialog.returnValue !== 'save') return resolve(null);
+				resolve({
+					prices: this.usagePrices.value,
+					budget: { tokens: this.usageBudgetTokens.value, cost: this.usageBudgetCost.value }
+				});
+			}, { once: true });
+			this.usageDialog.showModal();
+		});
+	}
+
+	/**
+	 * Render the conversation sidebar. Actions are shown on the open chat only.
+	 * 
+	 * @param {Object} state - Conversation list state
+	 * @param {Array<Object>} state.conversations - Conversations in display order
+	 * @param {string} state.activeId - ID of the open conversation
+	 */
+	renderConversations({ conversations, activeId }) {
+		if (!this.convList) return;
+		this.convList.replaceChildren(...conversations.map(c => {
+			const li = el('li', 'conv');
+			li.dataset.convId = c.id;
+			if (c.pinned) li.classList.add('pinned');
+
+			const open = el('button', 'conv-title', c.title);
+			open.dataset.convAction = 'open';
+			open.title = c.title;
+			li.append(open);
+
+			if (c.id === activeId) {
+				li.classList.add('active');
+				open.setAttribute('aria-current', 'true');
+				const actions = el('div', 'conv-actions');
+				[['pin', c.pinned ? 'Unpin' : 'Pin'], ['rename', 'Rename'], ['duplicate', 'Copy'], ['delete', 'Delete']].forEach(([action, label]) => {
+					const b = el('button', 'action action--secondary', label);
+					b.dataset.convAction = action;
+					actions.append(b);
+				});
+				li.append(actions);
+			}
+			return li;
+		}));
+	}
+
+	/**
+	 * Ask which conversations of an export to import (all are ticked to start).
+	 * 
+	 * @param {string} source - Tool the export came from (e.g. 'ChatGPT')
+	 * @param {Array<Object>} conversations - Conversations found ({ title, messages })
+	 * @returns {Promise<Array<number>|null>} Indexes picked, or null if cancelled
+	 */
+	chooseConversations(source, conversations) {
+		return new Promise(resolve => {
+			this.importHeading.textContent = `Import from ${source}`;
+			this.importAll.checked = true;
+			this.importList.replaceChildren(...conversations.map((c, i) => {
+				const li = el('li');
+				const label = el('label');
+				const box = el('input');
+				box.type = 'checkbox';
+				box.value = String(i);
+				box.checked = true;
+				const first = c.messages[0]?.timestamp;
+				const date = first ? ` · ${new Date(first).toLocaleDateString()}` : '';
+				label.append(box, el('span', 'import-title', c.title), el('span', 'import-meta', `${c.messages.length} messages${date}`));
+				li.append(label);
+				return li;
+			}));
+			this.importDialog.returnValue = '';
+			this.importDialog.addEventListener('close', () => {
+				if (this.importDialog.returnValue !== 'import') return resolve(null);
+				resolve([...this.importList.querySelectorAll('input:checked')].map(box => Number(box.value)));
+			}, { once: true });
+			this.importDialog.showModal();
+		});
+	}
+
+	/**
+	 * Show what merging an import would do and ask how to import it.
+	 * 
+	 * @param {Object} preview - Dry-run merge report ({ added, duplicates, conflicts })
+	 * @param {number} current - Messages currently in the chat
+	 * @returns {Promise<string|null>} 'merge', 'replace', or null if cancelled
+	 */
+	chooseImportMode(preview, current) {
+		const total = preview.added + preview.duplicates + preview.conflicts;
+		const rows = [
+			['added', preview.added, 'new'],
+			['duplicate', preview.duplicates, 'already here'],
+			['conflict', preview.conflicts, 'conflicting (both versions kept)']
+		];
+		this.mergeDiff.replaceChildren(...rows.map(([kind, n, label]) => el('li', `diff-${kind}`, `${n} ${label}`)));
+		this.replaceNote.textContent = `Replacing discards the ${current} message${current === 1 ? '' : 's'} here for the ${total} in the file.`;
+		return new Promise(resolve => {
+			this.mergeDialog.returnValue = '';
+			this.mergeDialog.addEventListener('close', () => {
+				const choice = this.mergeDialog.returnValue;
+				resolve(choice === 'merge' || choice === 'replace' ? choice : null);
+			}, { once: true });
+			this.mergeDialog.showModal();
+		});
+	}
+
 	// read selected file and hand off to controller
 	async handleFile() {
 		const f = this.fileInput.files?.[0];
 		if (!f) return;
 		const text = await f.text();
-		if (this.onImport) this.onImport(text);
+		if (this.onImport) this.onImport(text, f.name);
 		this.fileInput.value = '';
 	}
 
@@ -184,21 +1019,49 @@ export class View {
 	 */
 	render(state) {
 		this.list.innerHTML = '';
-		state.messages.forEach(m => this.list.append(this.renderItem(m)));
+		// bot replies can only be regenerated once there is a question to re-ask
+		let asked = false;
+		state.messages.forEach(m => {
+			this.list.append(this.renderItem(m, { canRegenerate: asked && !state.pending, busy: state.pending }));
+			if (m.role === 'user') asked = true;
+		});
+		this.setPending(state.pending);
 		this.updateMeta(state);
-		this.scrollToBottom();
+		const hit = this.hitId && this.list.querySelector(`li[data-id="${this.hitId}"]`);
+		if (hit && this.scrollToHit) {
+			this.scrollToHit = false;
+			hit.scrollIntoView({ block: 'center' });
+		} else {
+			this.scrollToBottom();
+		}
 	}
 
-	// render a single message row
-	renderItem(m) {
+	/**
+	 * Render a single message row.
+	 * 
+	 * @param {Object} m - Message to render
+	 * @param {Object} [opts] - Render options
+	 * @param {boolean} [opts.canRegenerate=false] - Offer a Regenerate action on bot replies
+	 * @param {boolean} [opts.busy=false] - A reply is pending (branch switching is disabled)
+	 * @returns {HTMLElement} List item
+	 */
+	renderItem(m, { canRegenerate = false, busy = false } = {}) {
 		const li = el('li', m.role);
 		li.dataset.id = m.id;
+		if (m.status && m.status !== 'done') li.classList.add(m.status);
+		if (m.id === this.hitId) li.classList.add('search-hit');
 
-		const bubble = el(
-			'p',
-			'bubble',
-			m.text + (m.edited ? ' (edited)' : '')
-		);
+		let bubble;
+		if (m.status === 'pending') {
+			bubble = this.renderPending(m, li);
+		} else if (m.role === 'bot' && m.text) {
+			bubble = this.renderReply(m.text);
+			if (m.edited) bubble.append(el('span', 'edited', ' (edited)'));
+		} else {
+			// user messages (and replies without text) stay plain text
+			bubble = el('p', 'bubble', (m.text || (m.status === 'error' && m.error) || STATUS_TEXT[m.status] || '') + (m.edited ? ' (edited)' : ''));
+		}
+		if (this.highlight && m.status !== 'pending') markMatches(bubble, this.highlight);
 
 		const t = document.createElement('time');
 		t.className = 'time';
@@ -207,6 +1070,9 @@ export class View {
 
 		if (m.role === 'user') {
 			const actions = el('div', 'msg-actions');
+			if (m.branches?.length > 1) {
+				actions.append(...this.renderStepper(m.branch, m.branches.length, 'branch', busy));
+			}
 			const edit = el('button', 'action action--secondary', 'Edit');
 			edit.dataset.action = 'edit';
 			const del = el('button', 'action action--secondary', 'Delete');
@@ -214,16 +1080,171 @@ export class View {
 			actions.append(edit, del);
 			li.append(bubble, actions, t);
 		} else {
-			li.append(bubble, t);
+			// label which provider answered (fallbacks can differ from the menu)
+			// and anything unusual about how the reply ended
+			const meta = el('div', 'meta');
+			if (m.provider) meta.append(el('span', 'provider', m.provider));
+			// the model and sampling settings the reply was made with
+			if (m.settings?.model) {
+				const used = el('span', 'model', m.settings.model);
+				used.title = describeSettings(m.settings);
+				meta.append(used);
+			}
+			// tokens the provider reported for the reply
+			if (m.usage) {
+				const used = el('span', 'usage', `${fmtTokens(m.usage.total)} tokens`);
+				used.title = `${fmtTokens(m.usage.input)} in · ${fmtTokens(m.usage.output)} out`;
+				meta.append(used);
+			}
+			if (STATUS_LABEL[m.status]) meta.append(el('span', 'status', STATUS_LABEL[m.status]));
+			meta.append(t);
+			li.append(bubble);
+			if (m.status === 'error' && m.text && m.error) li.append(el('p', 'error-note', m.error));
+			// a fallback stepped in because the chosen provider failed
+			if (m.fallbackFrom && m.status !== 'pending') li.append(el('p', 'fallback-note', `${m.fallbackFrom} failed, so ${m.provider} answered instead.`));
+			const note = m.status === 'done' && FINISH_NOTE[m.finish?.reason];
+			if (note) li.append(el('p', 'finish-note', note(m, m.finish)));
+			const actions = this.renderBotActions(m, canRegenerate);
+			if (actions) li.append(actions);
+			li.append(meta);
 		}
 
 		return li;
 	}
 
-	// update header meta labels
+	/**
+	 * Actions under a bot reply: version arrows when it has siblings, and
+	 * Regenerate once the reply has settled (plus Continue when it was cut
+	 * off at the token limit).
+	 * 
+	 * @param {Object} m - Bot message
+	 * @param {boolean} canRegenerate - Whether Regenerate applies
+	 * @returns {HTMLElement|null} Actions row, or null when there is nothing to offer
+	 */
+	renderBotActions(m, canRegenerate) {
+		const actions = el('div', 'msg-actions');
+		const settled = m.status !== 'pending';
+		if (m.versions?.length > 1) {
+			actions.append(...this.renderStepper(m.version, m.versions.length, 'version', !settled));
+		}
+		if (canRegenerate && settled && m.finish?.reason === 'length') {
+			const more = el('button', 'action action--secondary', 'Continue');
+			more.dataset.action = 'continue';
+			actions.append(more);
+		}
+		if (canRegenerate && settled) {
+			const regen = el('button', 'action action--secondary', 'Regenerate');
+			regen.dataset.action = 'regenerate';
+			actions.append(regen);
+		}
+		return actions.children.length ? actions : null;
+	}
+
+	/**
+	 * Prev/next arrows with an "n/total" label, for reply versions and
+	 * conversation branches.
+	 * 
+	 * @param {number} index - Active index
+	 * @param {number} total - Number of alternatives
+	 * @param {string} kind - 'version' or 'branch' (drives data-action and labels)
+	 * @param {boolean} locked - Disable both arrows
+	 * @returns {Array<HTMLElement>} Prev button, label, next button
+	 */
+	renderStepper(index, total, kind, locked) {
+		const prev = el('button', 'action action--secondary', '‹');
+		prev.dataset.action = `prev-${kind}`;
+		prev.setAttribute('aria-label', `previous ${kind}`);
+		prev.disabled = locked || index === 0;
+		const next = el('button', 'action action--secondary', '›');
+		next.dataset.action = `next-${kind}`;
+		next.setAttribute('aria-label', `next ${kind}`);
+		next.disabled = locked || index === total - 1;
+		return [prev, el('span', 'version', `${index + 1}/${total}`), next];
+	}
+
+	/**
+	 * Bubble for a reply still in flight: a typing indicator until text
+	 * streams in, then the text received so far.
+	 * 
+	 * @param {Object} m - Pending message
+	 * @param {HTMLElement} li - Row being built (gets the 'streaming' class)
+	 * @returns {HTMLElement} Bubble element
+	 */
+	renderPending(m, li) {
+		const text = this.stream?.id === m.id ? this.stream.text : '';
+		if (text) {
+			li.classList.add('streaming');
+			return this.renderReply(text);
+		}
+		const bubble = el('p', 'bubble typing');
+		bubble.setAttribute('aria-label', 'assistant is typing');
+		bubble.append(el('span', 'dot'), el('span', 'dot'), el('span', 'dot'));
+		return bubble;
+	}
+
+	/**
+	 * Bubble for bot reply text, rendered as Markdown (see markdown.js).
+	 * 
+	 * @param {string} text - Reply text
+	 * @returns {HTMLElement} Bubble element
+	 */
+	renderReply(text) {
+		const bubble = el('div', 'bubble markdown');
+		bubble.append(renderMarkdown(text));
+		return bubble;
+	}
+
+	// show a formula's LaTeX source instead of the rendered math, or back
+	toggleMath(math) {
+		const raw = math.classList.toggle('raw');
+		math.title = raw ? 'show rendered math' : 'show LaTeX source';
+	}
+
+	/**
+	 * Copy a code block's source to the clipboard, confirming on the button.
+	 * 
+	 * @param {HTMLElement} btn - The block's Copy button
+	 */
+	async copyCode(btn) {
+		const code = btn.closest('.code-block')?.querySelector('code')?.textContent || '';
+		try {
+			await navigator.clipboard.writeText(code);
+			btn.textContent = 'Copied';
+		} catch {
+			btn.textContent = 'Copy failed';
+		}
+		setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
+	}
+
+	/**
+	 * Show the text received so far for a pending reply.
+	 * 
+	 * @param {string} id - Pending message ID
+	 * @param {string} text - Accumulated reply text
+	 */
+	updateStream(id, text) {
+		this.stream = { id, text };
+		const li = this.list.querySelector(`li[data-id="${id}"]`);
+		if (!li) return;
+		li.classList.add('streaming');
+		li.querySelector('.bubble')?.replaceWith(this.renderReply(text));
+		this.scrollToBottom();
+	}
+
+	// forget streamed text once the reply is settled in the model
+	endStream() {
+		this.stream = null;
+	}
+
+	// update header meta labels and the storage banner (failed save, or messages skipped on load)
 	updateMeta(s) {
 		this.msgCount.textContent = `${s.count} messages`;
-		this.lastSaved.textContent = fmtSaved(s.lastSaved);
+		this.lastSaved.textContent = s.storageError ? 'Not saved' : fmtSaved(s.lastSaved);
+		if (this.storageWarning) {
+			const text = s.storageError ? storageWarning(s.storageError) : loadWarning(s.loadReport);
+			this.storageWarning.hidden = !text;
+			this.storageWarning.textContent = text;
+		}
 	}
 
 	// keep newest content in view
@@ -247,9 +1268,9 @@ export class View {
 	}
 
 	// trigger a download of text content
-	download(name, text) {
+	download(name, text, type = 'application/json') {
 		const a = document.createElement('a');
-		a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+		a.href = URL.createObjectURL(new Blob([text], { type }));
 		a.download = name;
 		document.body.appendChild(a);
 		a.click();
@@ -0,0 +1,43 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// Mocks the Anthropic Messages API so no real request is made, then
+// switches to Claude and checks that the streamed reply is shown.
+
+test('claude flow with mocked response', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  // key validation is a plain request; replies ask for an SSE stream
+  const bodies = [];
+  await page.route('https://api.anthropic.com/v1/messages', route => {
+    const body = route.request().postDataJSON();
+    bodies.push(body);
+    if (!body.stream) {
+      route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ content: [ { type: 'text', text: 'pong' } ] }) });
+      return;
+    }
+    const events = ['Mocked Claude ', 'response.']
+      .map(text => `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })}\n\n`);
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.join('') });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-claude-key';
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'claude');
+  await expect(page.locator('#ai-select')).toHaveValue('claude');
+
+  await page.locator('#chat-input').fill('What is MVC?');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+
+  const bot = page.locator('ul#messages li.bot');
+  await expect(bot.last()).toContainText('Mocked Claude response.');
+
+  // the streamed request carries the system prompt and the user turn
+  const sent = bodies.find(b => b.stream);
+  expect(sent.system).toBe('You are a concise assistant.');
+  expect(sent.messages).toEqual([ { role: 'user', content: 'What is MVC?' } ]);
+});
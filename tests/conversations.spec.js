@@ -0,0 +1,106 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// named conversations in the sidebar
+
+const send = async (page, text) => {
+  await page.locator('#chat-input').fill(text);
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+};
+
+test('the old single chat becomes the first conversation', async ({ page }) => {
+  await page.addInitScript(() => {
+    // only seed the legacy chat on the very first load
+    if (localStorage.getItem('chat_index_v1')) return;
+    localStorage.setItem('chat_v1', JSON.stringify({
+      messages: [
+        { id: 'a', text: 'how do i reset my password', role: 'user', timestamp: 1, edited: false },
+        { id: 'b', text: 'try the account page.', role: 'bot', timestamp: 2, edited: false }
+      ],
+      lastSaved: 2
+    }));
+  });
+  await page.goto('/');
+
+  const convs = page.locator('#conversation-list li');
+  await expect(convs).toHaveCount(1);
+  await expect(convs.first()).toHaveText(/how do i reset my password/);
+  await expect(page.locator('ul#messages li.bot .bubble')).toHaveText('try the account page.');
+  expect(await page.evaluate(() => localStorage.getItem('chat_v1'))).toBeNull();
+});
+
+test('a legacy chat that cannot be copied is kept and moved on a later load', async ({ page }) => {
+  await page.addInitScript(() => {
+    if (localStorage.getItem('chat_index_v1')) return;
+    localStorage.setItem('chat_v1', JSON.stringify({
+      messages: [ { id: 'a', text: 'keep me', role: 'user', timestamp: 1, edited: false } ],
+      lastSaved: 1
+    }));
+    // a full localStorage refuses the copy
+    const setItem = Storage.prototype.setItem;
+    Storage.prototype.setItem = function (key, value) {
+      if (key.startsWith('chat_v1:')) throw new DOMException('quota exceeded', 'QuotaExceededError');
+      return setItem.call(this, key, value);
+    };
+  });
+  await page.goto('/');
+
+  await expect(page.locator('#conversation-list li')).toHaveCount(1);
+  await expect(page.locator('#toast')).toContainText('your earlier chat could not be moved');
+  expect(await page.evaluate(() => localStorage.getItem('chat_v1'))).toContain('keep me');
+
+  // with room again, the next load moves it into its own conversation
+  await page.reload();
+  const convs = page.locator('#conversation-list li');
+  await expect(convs).toHaveCount(2);
+  await expect(convs.first()).toHaveText(/keep me/);
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['keep me']);
+  expect(await page.evaluate(() => localStorage.getItem('chat_v1'))).toBeNull();
+});
+
+test('chats are kept apart, auto-titled and reopened after reload', async ({ page }) => {
+  await page.goto('/');
+  await send(page, 'first topic');
+
+  await page.locator('#new-chat-btn').click();
+  await expect(page.locator('ul#messages li.user')).toHaveCount(0);
+  await send(page, 'second topic');
+
+  const convs = page.locator('#conversation-list li');
+  await expect(convs).toHaveCount(2);
+  // most recent first, the open chat is marked
+  await expect(convs.first()).toHaveText(/second topic/);
+  await expect(page.locator('#conversation-list li.active')).toHaveText(/second topic/);
+
+  await convs.filter({ hasText: 'first topic' }).getByRole('button', { name: 'first topic' }).click();
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['first topic']);
+
+  await page.reload();
+  await expect(page.locator('#conversation-list li.active')).toHaveText(/first topic/);
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['first topic']);
+});
+
+test('rename, pin, duplicate and delete a chat', async ({ page }) => {
+  await page.goto('/');
+  await send(page, 'release checklist');
+  page.on('dialog', d => (d.type() === 'prompt' ? d.accept('Release 2.0') : d.accept()));
+
+  const active = page.locator('#conversation-list li.active');
+  await active.getByRole('button', { name: 'Rename' }).click();
+  await expect(active.locator('.conv-title')).toHaveText('Release 2.0');
+
+  await active.getByRole('button', { name: 'Pin' }).click();
+  await expect(page.locator('#conversation-list li.pinned')).toHaveCount(1);
+
+  await active.getByRole('button', { name: 'Copy' }).click();
+  await expect(page.locator('#conversation-list li')).toHaveCount(2);
+  await expect(page.locator('#conversation-list li.active .conv-title')).toHaveText('Release 2.0 (copy)');
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['release checklist']);
+  // the pinned original stays on top
+  await expect(page.locator('#conversation-list li').first()).toHaveClass(/pinned/);
+
+  await page.locator('#conversation-list li.active').getByRole('button', { name: 'Delete' }).click();
+  await expect(page.locator('#conversation-list li')).toHaveCount(1);
+  await expect(page.locator('#conversation-list li.active .conv-title')).toHaveText('Release 2.0');
+});
@@ -14,6 +14,9 @@ test('eliza responds to a hello', async ({ page }) => {
   await input.fill('hello');
   await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
 
+  // replies stream in; wait until the pending reply has been settled
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
   // there should be at least one bot message rendered
   const bot = page.locator('ul#messages li.bot');
   // Check that the last bot message is not empty and is not the greeting
@@ -22,3 +25,60 @@ test('eliza responds to a hello', async ({ page }) => {
   // Optionally, check that the last bot message is not the greeting
   expect(botText).not.toMatch(/eliza assistant/i);
 });
+
+test('regenerate keeps earlier replies as versions', async ({ page }) => {
+  await page.goto('/');
+  page.on('dialog', d => d.accept());
+  await page.locator('#clear-btn').click();
+
+  await page.locator('#chat-input').fill('hello');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
+  const reply = page.locator('ul#messages li.bot').last();
+  const first = await reply.locator('.bubble').textContent();
+
+  await reply.getByRole('button', { name: 'Regenerate' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
+  // still one reply row, now with two versions and the newest shown
+  await expect(page.locator('ul#messages li.bot')).toHaveCount(1);
+  await expect(reply.locator('.version')).toHaveText('2/2');
+
+  await reply.getByRole('button', { name: 'previous version' }).click();
+  await expect(reply.locator('.version')).toHaveText('1/2');
+  await expect(reply.locator('.bubble')).toHaveText(first || '');
+
+  // versions survive a reload
+  await page.reload();
+  await expect(page.locator('ul#messages li.bot').last().locator('.version')).toHaveText('1/2');
+});
+
+test('editing an earlier message forks the conversation into branches', async ({ page }) => {
+  await page.goto('/');
+  // accept the fork confirm and answer the edit prompt
+  page.on('dialog', d => (d.type() === 'prompt' ? d.accept('how are you') : d.accept()));
+  await page.locator('#clear-btn').click();
+
+  const send = async text => {
+    await page.locator('#chat-input').fill(text);
+    await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+    await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  };
+  await send('hello');
+  await send('thanks');
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+
+  // edit the first question and accept the fork: later messages move to the old branch
+  const first = page.locator('ul#messages li.user').first();
+  await first.getByRole('button', { name: 'Edit' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  await expect(page.locator('ul#messages li')).toHaveCount(2);
+  await expect(first.locator('.bubble')).toContainText('how are you');
+  await expect(first.locator('.version')).toHaveText('2/2');
+
+  // the original branch is still there with its follow-up
+  await first.getByRole('button', { name: 'previous branch' }).click();
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+  await expect(first.locator('.bubble')).toHaveText('hello');
+});
@@ -0,0 +1,71 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// typed provider errors lead to a specific way out instead of just an error bubble
+
+const switchToGemini = async (page, keys) => {
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  await page.evaluate(keys => {
+    window.prompts = [];
+    window.prompt = message => {
+      window.prompts.push(message);
+      return keys.shift() ?? null;
+    };
+    window.alert = () => {};
+  }, keys);
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+};
+
+const send = async (page, text) => {
+  await page.locator('#chat-input').fill(text);
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+};
+
+test('a key rejected mid-chat asks for a new one and retries the reply', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  const keys = [];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    const key = new URL(route.request().url()).searchParams.get('key');
+    keys.push(key);
+    if (key !== 'new-key') {
+      route.fulfill({ status: 401, contentType: 'application/json', body: '{"error":{"message":"API key expired"}}' });
+      return;
+    }
+    const event = { candidates: [ { content: { parts: [ { text: 'hello again' } ] } } ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+  await switchToGemini(page, ['old-key', 'new-key']);
+
+  await send(page, 'hello');
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot).toContainText('hello again');
+  expect(keys).toEqual(['old-key', 'new-key']);
+  expect(await page.evaluate(() => window.prompts[1])).toContain('rejected the api key');
+  expect(await page.evaluate(() => localStorage.getItem('ai_gemini_api_key'))).toBe('new-key');
+
+  // the failed attempt is kept as an earlier version of the reply
+  await expect(bot.locator('.version')).toHaveText('2/2');
+});
+
+test('a used-up quota offers to switch to eliza', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    const body = { error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'You exceeded your current quota, please check your plan and billing details.' } };
+    route.fulfill({ status: 429, contentType: 'application/json', body: JSON.stringify(body) });
+  });
+  await switchToGemini(page, ['fake-gemini-key']);
+
+  await send(page, 'hello');
+  await expect(page.locator('ul#messages li.bot.error').last()).toContainText('quota');
+  const toast = page.locator('#toast');
+  await expect(toast).toContainText('quota is used up');
+  await toast.getByRole('button', { name: 'Use Eliza' }).click();
+  await expect(page.locator('#ai-select')).toHaveValue('eliza');
+});
@@ -11,7 +11,7 @@ test('gemini flow with mocked response', async ({ page }) => {
   // clear all messages so no Eliza greeting is present
   await page.locator('#clear-btn').click();
 
-  // intercept any generateContent request and return a canned response
+  // intercept any generateContent request (key validation) and return a canned response
   await page.route('**/v1beta/models/*:generateContent?**', route => {
     const mocked = {
       candidates: [
@@ -25,6 +25,13 @@ test('gemini flow with mocked response', async ({ page }) => {
     route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(mocked) });
   });
 
+  // replies are streamed: serve the same text split over two SSE events
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    const events = ['Mocked Gemini ', 'response for testing.']
+      .map(text => `data: ${JSON.stringify({ candidates: [ { content: { parts: [ { text } ] } } ] })}\n\n`);
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.join('') });
+  });
+
   // stub prompt for API key
   await page.evaluate(() => {
     window.prompt = () => 'fake-gemini-key';
@@ -46,3 +53,229 @@ test('gemini flow with mocked response', async ({ page }) => {
   const bot = page.locator('ul#messages li.bot');
   await expect(bot.last()).toContainText('Mocked Gemini response for testing.');
 });
+
+test('gemini follow-ups carry the earlier conversation', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  // accept the key check, then answer every streamed reply and remember what was sent
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  const bodies = [];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    bodies.push(route.request().postDataJSON());
+    const event = { candidates: [ { content: { parts: [ { text: `answer ${bodies.length}` } ] } } ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+    window.confirm = () => true;
+  });
+
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  const bot = page.locator('ul#messages li.bot');
+  await page.locator('#chat-input').fill('What is MVC?');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(bot.last()).toContainText('answer');
+
+  await page.locator('#chat-input').fill('and what about MVP?');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(bot.last()).toContainText('answer');
+
+  // the last request should replay the first question and its answer before the follow-up
+  const contents = bodies[bodies.length - 1].contents;
+  expect(contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+  expect(contents[0].parts[0].text).toBe('What is MVC?');
+  expect(contents[2].parts[0].text).toBe('and what about MVP?');
+});
+
+test('gemini outage falls back to eliza and labels the reply', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  // the key check passes, but every reply attempt is overloaded
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  let attempts = 0;
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    attempts++;
+    route.fulfill({ status: 503, contentType: 'application/json', body: '{"error":{"message":"overloaded"}}' });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#chat-input').fill('hello');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+
+  // retried before giving up, then answered by the fallback and labelled as such
+  const last = page.locator('ul#messages li.bot').last();
+  await expect(last.locator('.provider')).toHaveText('eliza', { timeout: 10000 });
+  await expect(last.locator('.fallback-note')).toHaveText('gemini failed, so eliza answered instead.');
+  await expect(last.locator('.bubble')).not.toContainText('error');
+  expect(attempts).toBe(3);
+});
+
+test('stop button cancels a slow gemini reply', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  // never answer the reply; the request is aborted by the user instead
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', () => {});
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#chat-input').fill('write me a very long essay');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+
+  const stop = page.locator('#stop-btn');
+  await expect(stop).toBeVisible();
+  await stop.click();
+
+  // the reply is marked as stopped rather than shown as an error
+  const last = page.locator('ul#messages li.bot').last();
+  await expect(last).toHaveClass(/cancelled/);
+  await expect(last.locator('.status')).toHaveText('stopped');
+  await expect(last).not.toContainText('error');
+  await expect(stop).toBeHidden();
+});
+
+test('pending reply shows a typing indicator and survives a reload as interrupted', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  // hold the reply open so the pending state is visible
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', () => {});
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#chat-input').fill('are you there?');
+  const send = page.locator('#chat-form').getByRole('button', { name: 'Send' });
+  await send.click();
+
+  await expect(page.locator('ul#messages li.bot.pending .typing')).toBeVisible();
+  await expect(send).toBeDisabled();
+
+  // the placeholder was saved, so a reload shows it as interrupted instead of dropping it
+  await page.reload();
+  const last = page.locator('ul#messages li.bot').last();
+  await expect(last).toHaveClass(/interrupted/);
+  await expect(last.locator('.status')).toHaveText('interrupted');
+  await expect(page.locator('#chat-form').getByRole('button', { name: 'Send' })).toBeEnabled();
+});
+
+test('a reply cut off at the token limit can be continued, and safety stops are explained', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  // first answer runs out of tokens, the follow-up finishes it, the third is filtered midway
+  const bodies = [];
+  const answers = [
+    { content: { parts: [ { text: 'The first half' } ] }, finishReason: 'MAX_TOKENS' },
+    { content: { parts: [ { text: ' and the second half.' } ] }, finishReason: 'STOP' },
+    { content: { parts: [ { text: 'Partly said' } ] }, finishReason: 'SAFETY', safetyRatings: [ { category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true } ] }
+  ];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    bodies.push(route.request().postDataJSON());
+    const event = { candidates: [ answers[bodies.length - 1] ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#chat-input').fill('tell me a long story');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot.locator('.finish-note')).toHaveText('cut off at the token limit.');
+
+  // continuing sends the partial answer back and extends the same reply
+  await bot.getByRole('button', { name: 'Continue' }).click();
+  await expect(bot.locator('.bubble')).toHaveText('The first half and the second half.');
+  await expect(bot.locator('.finish-note')).toHaveCount(0);
+  await expect(bot.getByRole('button', { name: 'Continue' })).toHaveCount(0);
+  expect(bodies[1].contents.at(-2)).toEqual({ role: 'model', parts: [ { text: 'The first half' } ] });
+  expect(bodies[1].contents.at(-1).parts[0].text).toContain('continue');
+
+  await page.locator('#chat-input').fill('say something rude');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const filtered = page.locator('ul#messages li.bot').last();
+  await expect(filtered.locator('.bubble')).toHaveText('Partly said');
+  await expect(filtered.locator('.finish-note')).toHaveText("stopped by gemini's safety filter (harassment).");
+});
+
+test('extra gemini candidates become versions of the reply', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  const bodies = [];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    bodies.push(route.request().postDataJSON());
+    const events = [
+      { candidates: [ { index: 0, content: { parts: [ { text: 'First ' } ] } }, { index: 1, content: { parts: [ { text: 'Second ' } ] } } ] },
+      { candidates: [ { index: 1, content: { parts: [ { text: 'take' } ] }, finishReason: 'STOP' } ] },
+      { candidates: [ { index: 0, content: { parts: [ { text: 'take' } ] }, finishReason: 'STOP' } ] }
+    ];
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#settings-btn').click();
+  await page.locator('#settings-candidates').fill('2');
+  await page.locator('#settings-dialog').getByRole('button', { name: 'Save' }).click();
+
+  await page.locator('#chat-input').fill('name this project');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot.locator('.bubble')).toHaveText('First take');
+  expect(bodies[0].generationConfig).toEqual({ candidateCount: 2 });
+
+  await expect(bot.locator('.version')).toHaveText('1/2');
+  await bot.getByRole('button', { name: 'next version' }).click();
+  await expect(bot.locator('.bubble')).toHaveText('Second take');
+});
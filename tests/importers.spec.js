@@ -0,0 +1,95 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// other tools' exports become conversations of their own
+
+const upload = (page, name, data) => page.locator('#file-input').setInputFiles({
+  name,
+  mimeType: 'application/json',
+  buffer: Buffer.from(JSON.stringify(data))
+});
+
+// two chatgpt conversations; the first was regenerated, so its tree has two replies
+const chatgpt = [
+  {
+    title: 'Regex help',
+    create_time: 1700000000,
+    current_node: 'a2',
+    mapping: {
+      root: { id: 'root', message: null, parent: null, children: ['sys'] },
+      sys: { id: 'sys', parent: 'root', children: ['q'], message: { id: 'sys', author: { role: 'system' }, content: { content_type: 'text', parts: [''] }, create_time: 1700000000 } },
+      q: { id: 'q', parent: 'sys', children: ['a1', 'a2'], message: { id: 'q', author: { role: 'user' }, content: { content_type: 'text', parts: ['match an email'] }, create_time: 1700000001 } },
+      a1: { id: 'a1', parent: 'q', children: [], message: { id: 'a1', author: { role: 'assistant' }, content: { content_type: 'text', parts: ['old answer'] }, create_time: 1700000002 } },
+      a2: { id: 'a2', parent: 'q', children: [], message: { id: 'a2', author: { role: 'assistant' }, content: { content_type: 'text', parts: ['use a library'] }, create_time: 1700000003 } }
+    }
+  },
+  {
+    title: 'Dinner ideas',
+    create_time: 1700001000,
+    current_node: 'd2',
+    mapping: {
+      d1: { id: 'd1', parent: null, children: ['d2'], message: { id: 'd1', author: { role: 'user' }, content: { content_type: 'text', parts: ['something quick'] }, create_time: 1700001001 } },
+      d2: { id: 'd2', parent: 'd1', children: [], message: { id: 'd2', author: { role: 'assistant' }, content: { content_type: 'text', parts: ['omelette'] }, create_time: 1700001002 } }
+    }
+  }
+];
+
+test('chatgpt conversations are picked and flattened along the shown branch', async ({ page }) => {
+  await page.goto('/');
+  await upload(page, 'conversations.json', chatgpt);
+
+  const dialog = page.locator('#import-dialog');
+  await expect(dialog).toBeVisible();
+  await expect(dialog.locator('h2')).toHaveText('Import from ChatGPT');
+  await expect(dialog.locator('#import-list li')).toHaveCount(2);
+
+  // leave out the second conversation
+  await dialog.getByRole('checkbox', { name: /Dinner ideas/ }).uncheck();
+  const report = page.waitForEvent('dialog');
+  await dialog.getByRole('button', { name: 'Import' }).click();
+  const d = await report;
+  expect(d.message()).toContain('imported 1 conversation (2 messages) from ChatGPT');
+  expect(d.message()).toContain('system message (1)');
+  await d.accept();
+
+  await expect(page.locator('#conversation-list li.active .conv-title')).toHaveText('Regex help');
+  await expect(page.locator('#conversation-list li')).toHaveCount(2);
+  await expect(page.locator('ul#messages li .bubble')).toHaveText(['match an email', 'use a library']);
+  await expect(page.locator('ul#messages li.bot .provider')).toHaveText(['chatgpt']);
+});
+
+test('claude exports import every picked conversation', async ({ page }) => {
+  await page.goto('/');
+  await upload(page, 'conversations.json', [
+    {
+      uuid: 'c1',
+      name: 'SQL tuning',
+      created_at: '2026-03-01T10:00:00Z',
+      chat_messages: [
+        { uuid: 'm1', sender: 'human', text: 'why is this query slow', created_at: '2026-03-01T10:00:00Z', attachments: [{ file_name: 'plan.txt' }] },
+        { uuid: 'm2', sender: 'assistant', text: '', content: [{ type: 'text', text: 'add an index' }], created_at: '2026-03-01T10:00:05Z' }
+      ]
+    },
+    { uuid: 'c2', name: 'Empty', created_at: '2026-03-02T10:00:00Z', chat_messages: [] }
+  ]);
+
+  const dialog = page.locator('#import-dialog');
+  await expect(dialog.locator('#import-list li')).toHaveCount(1);
+  const report = page.waitForEvent('dialog');
+  await dialog.getByRole('button', { name: 'Import' }).click();
+  const d = await report;
+  expect(d.message()).toContain('imported 1 conversation (2 messages) from Claude');
+  expect(d.message()).toContain('empty conversation (1)');
+  expect(d.message()).toContain('attachment (1)');
+  await d.accept();
+
+  await expect(page.locator('ul#messages li .bubble')).toHaveText(['why is this query slow', 'add an index']);
+});
+
+test('cancelling the picker imports nothing', async ({ page }) => {
+  await page.goto('/');
+  await upload(page, 'conversations.json', chatgpt);
+  await page.locator('#import-dialog').getByRole('button', { name: 'Cancel' }).click();
+  await expect(page.locator('#import-dialog')).toBeHidden();
+  await expect(page.locator('#conversation-list li')).toHaveCount(1);
+});
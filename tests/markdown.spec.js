@@ -0,0 +1,68 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+
+// markdown transcripts: export with the format picker, import them back
+
+test('a chat exports to markdown and imports back', async ({ page }) => {
+  await page.goto('/');
+  page.on('dialog', d => d.accept());
+  await page.locator('#clear-btn').click();
+
+  await page.locator('#chat-input').fill('show me ```code``` please');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  const reply = await page.locator('ul#messages li.bot .bubble').last().textContent();
+
+  const downloading = page.waitForEvent('download');
+  await page.locator('#export-format').selectOption('markdown');
+  const download = await downloading;
+  expect(download.suggestedFilename()).toBe('chat-export.md');
+  const md = await readFile(await download.path() || '', 'utf8');
+
+  expect(md).toMatch(/^# show me ```code``` please/);
+  expect(md).toMatch(/### You · \d{4}-\d{2}-\d{2}T[\d:.]+Z\n\nshow me ```code``` please/);
+  expect(md).toContain('### Assistant · eliza · ');
+  // the picker is ready for the next export
+  await expect(page.locator('#export-format')).toHaveValue('');
+
+  // wipe the chat, then bring it back from the transcript
+  await page.locator('#clear-btn').click();
+  await page.locator('#file-input').setInputFiles({
+    name: 'chat-export.md',
+    mimeType: 'text/markdown',
+    buffer: Buffer.from(md)
+  });
+
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['show me ```code``` please']);
+  await expect(page.locator('ul#messages li.bot .bubble')).toHaveText([reply || '']);
+  await expect(page.locator('ul#messages li.bot .provider')).toHaveText(['eliza']);
+});
+
+test('body lines that look like headings, escaped or not, survive the round trip', async ({ page }) => {
+  await page.goto('/');
+  page.on('dialog', d => d.accept());
+  await page.locator('#clear-btn').click();
+
+  // as toMarkdown writes them: one backslash more than the text has
+  const md = [
+    '# Headings in text',
+    '',
+    '### You · 2026-10-19T14:05:03.120Z',
+    '',
+    'quoting a transcript:',
+    '\\### You · 2026-10-19T14:00:00.000Z',
+    '\\\\### Assistant · gemini · 2026-10-19T14:00:01.000Z',
+    ''
+  ].join('\n');
+  await page.locator('#file-input').setInputFiles({ name: 'headings.md', mimeType: 'text/markdown', buffer: Buffer.from(md) });
+
+  const user = page.locator('ul#messages li.user .bubble');
+  await expect(user).toContainText('\n### You · 2026-10-19T14:00:00.000Z');
+  await expect(user).toContainText('\n\\### Assistant · gemini · 2026-10-19T14:00:01.000Z');
+
+  const downloading = page.waitForEvent('download');
+  await page.locator('#export-format').selectOption('markdown');
+  const exported = await readFile(await (await downloading).path() || '', 'utf8');
+  expect(exported).toContain(md.split('\n').slice(4).join('\n'));
+});
@@ -0,0 +1,57 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+
+// importing into a chat that has messages: preview, then merge or replace
+
+const exportJson = async page => {
+  const downloading = page.waitForEvent('download');
+  await page.locator('#export-format').selectOption('json');
+  const download = await downloading;
+  return JSON.parse(await readFile(await download.path() || '', 'utf8'));
+};
+
+test('merge keeps the chat, skips duplicates and keeps both sides of a conflict', async ({ page }) => {
+  await page.goto('/');
+  page.on('dialog', d => d.accept());
+  await page.locator('#clear-btn').click();
+  await page.locator('#chat-input').fill('hello');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
+  // a colleague's copy: same two messages, one edited differently, plus a new one
+  const theirs = await exportJson(page);
+  const [question, answer] = theirs.messages;
+  theirs.messages = [
+    question,
+    answer,
+    { ...question, text: 'hello there' },
+    { id: 'later', text: 'one more thing', role: 'user', timestamp: answer.timestamp + 1000, edited: false }
+  ];
+  await page.locator('#file-input').setInputFiles({
+    name: 'colleague.json',
+    mimeType: 'application/json',
+    buffer: Buffer.from(JSON.stringify(theirs))
+  });
+
+  const preview = page.locator('#merge-dialog');
+  await expect(preview).toBeVisible();
+  await expect(preview.locator('.diff-added')).toHaveText('1 new');
+  await expect(preview.locator('.diff-duplicate')).toHaveText('2 already here');
+  await expect(preview.locator('.diff-conflict')).toHaveText('1 conflicting (both versions kept)');
+  await expect(preview.locator('#replace-note')).toContainText('discards the 2 messages here for the 4 in the file');
+
+  await preview.getByRole('button', { name: 'Merge' }).click();
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['hello', 'hello there', 'one more thing']);
+
+  // merging the same file again changes nothing
+  await page.locator('#file-input').setInputFiles({
+    name: 'colleague.json',
+    mimeType: 'application/json',
+    buffer: Buffer.from(JSON.stringify(theirs))
+  });
+  await expect(preview.locator('.diff-added')).toHaveText('0 new');
+  await preview.getByRole('button', { name: 'Cancel' }).click();
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+});
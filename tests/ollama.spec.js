@@ -0,0 +1,48 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// Mocks an OpenAI-compatible server on Ollama's default port: the model list
+// populates the model menu and replies stream back as chat completion chunks.
+
+test('local models are discovered and used for replies', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('http://localhost:11434/v1/models', route => {
+    const body = { object: 'list', data: [ { id: 'qwen2.5:7b' }, { id: 'llama3.2:3b' } ] };
+    route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(body) });
+  });
+
+  const bodies = [];
+  await page.route('http://localhost:11434/v1/chat/completions', route => {
+    bodies.push(route.request().postDataJSON());
+    const events = ['Local ', 'model says hi.']
+      .map(content => `data: ${JSON.stringify({ choices: [ { delta: { content } } ] })}\n\n`);
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.join('') + 'data: [DONE]\n\n' });
+  });
+
+  await page.evaluate(() => {
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'ollama');
+  await expect(page.locator('#ai-select')).toHaveValue('ollama');
+
+  // models are listed sorted and the first one is picked by default
+  const models = page.locator('#model-select');
+  await expect(models).toBeVisible();
+  await expect(models.locator('option')).toHaveText(['llama3.2:3b', 'qwen2.5:7b']);
+  await models.selectOption('qwen2.5:7b');
+
+  await page.locator('#chat-input').fill('hello there');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+
+  await expect(page.locator('ul#messages li.bot').last()).toContainText('Local model says hi.');
+  expect(bodies[0].model).toBe('qwen2.5:7b');
+  expect(bodies[0].stream).toBe(true);
+  expect(bodies[0].messages).toEqual([ { role: 'user', content: 'hello there' } ]);
+
+  // switching away hides the model menu again
+  await page.selectOption('#ai-select', 'eliza');
+  await expect(models).toBeHidden();
+});
@@ -0,0 +1,68 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// personas: system prompts picked per chat and sent in each provider's own field
+
+test('a preset persona is sent as gemini systemInstruction', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  const bodies = [];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    bodies.push(route.request().postDataJSON());
+    const event = { candidates: [ { content: { parts: [ { text: 'SELECT 1;' } ] } } ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+  await expect(page.locator('#persona-select option')).toHaveText(['No persona', 'Code reviewer', 'SQL helper', 'Release notes writer', 'Manage personas…']);
+
+  const send = async text => {
+    await page.locator('#chat-input').fill(text);
+    await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+    await expect(page.locator('ul#messages li.bot').last()).toContainText('SELECT 1;');
+  };
+
+  await send('count the users');
+  expect(bodies[0].systemInstruction).toBeUndefined();
+
+  await page.selectOption('#persona-select', 'sql-helper');
+  await send('count the orders');
+  expect(bodies[1].systemInstruction.parts[0].text).toContain('SQL');
+});
+
+test('personas are created in the manager and remembered per chat', async ({ page }) => {
+  await page.goto('/');
+  const picker = page.locator('#persona-select');
+
+  // the manager opens from the menu without changing the chat's persona
+  await picker.selectOption('__manage');
+  const dialog = page.locator('#persona-dialog');
+  await expect(dialog).toBeVisible();
+  await expect(picker).toHaveValue('');
+
+  await dialog.locator('#persona-pick').selectOption('');
+  await dialog.locator('#persona-name').fill('Pirate');
+  await dialog.locator('#persona-prompt').fill('Answer like a pirate.');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(dialog).toBeHidden();
+
+  // saving picks it for the open chat; a new chat starts without one
+  await expect(picker.locator('option:checked')).toHaveText('Pirate');
+  await page.locator('#new-chat-btn').click();
+  await expect(picker).toHaveValue('');
+
+  // switching back (even after a reload) restores the chat's persona
+  await page.reload();
+  await page.locator('#conversation-list li:not(.active) .conv-title').first().click();
+  await expect(picker.locator('option:checked')).toHaveText('Pirate');
+});
@@ -0,0 +1,49 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { spawn } from 'node:child_process';
+
+// Starts the local proxy on a spare port and checks the envelope rules
+// that don't need a real upstream: the origin check, cors preflight and the
+// host allowlist.
+
+let PROXY = '';
+let proc;
+
+test.beforeAll(async ({}, testInfo) => {
+  // one port per worker so parallel browser projects don't collide
+  const port = 8790 + testInfo.workerIndex;
+  PROXY = `http://localhost:${port}`;
+  proc = spawn(process.execPath, ['proxy/server.js'], { env: { ...process.env, PROXY_PORT: String(port) } });
+  // wait for the listening line
+  await new Promise((resolve, reject) => {
+    proc.stdout.on('data', d => { if (String(d).includes('listening')) resolve(undefined); });
+    proc.on('exit', code => reject(new Error(`proxy exited with ${code}`)));
+  });
+});
+
+test.afterAll(() => {
+  proc?.kill();
+});
+
+test('proxy answers cors preflight for the app origin only', async ({ request }) => {
+  const res = await request.fetch(PROXY, { method: 'OPTIONS', headers: { origin: 'http://localhost:3000' } });
+  expect(res.status()).toBe(204);
+  expect(res.headers()['access-control-allow-origin']).toBe('http://localhost:3000');
+
+  // other sites must not be able to spend the server-side keys
+  const preflight = await request.fetch(PROXY, { method: 'OPTIONS', headers: { origin: 'https://evil.example' } });
+  expect(preflight.status()).toBe(403);
+  expect(preflight.headers()['access-control-allow-origin']).toBeUndefined();
+  const post = await request.post(PROXY, { headers: { origin: 'https://evil.example' }, data: { provider: 'gemini', url: 'https://generativelanguage.googleapis.com/v1beta/models/x:generateContent', headers: {}, body: {} } });
+  expect(post.status()).toBe(403);
+  expect((await post.json()).error).toMatch(/origin not allowed/);
+});
+
+test('proxy rejects unknown providers and hosts outside the allowlist', async ({ request }) => {
+  const unknown = await request.post(PROXY, { data: { provider: 'nope', url: 'https://example.com', headers: {}, body: {} } });
+  expect(unknown.status()).toBe(400);
+
+  const offList = await request.post(PROXY, { data: { provider: 'gemini', url: 'https://example.com/v1beta/models/x:generateContent', headers: {}, body: {} } });
+  expect(offList.status()).toBe(403);
+  expect((await offList.json()).error).toMatch(/host not allowed/);
+});
@@ -0,0 +1,109 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// bot replies render as markdown (with latex math); nothing in a reply becomes live html
+
+const reply = [
+  '## Plan',
+  'Use **bold** and `inline code`, see [the docs](https://example.com/docs).',
+  '',
+  '1. first',
+  '2. second',
+  '',
+  '```js',
+  'const answer = 42; // why',
+  '```',
+  '',
+  '| name | qty |',
+  '|------|----:|',
+  '| pear | 2 |',
+  '',
+  '<img src=x onerror="window.pwned = true"> [click](javascript:window.pwned=true)',
+  '',
+  'Euler: $e^{i\\pi} + 1 = 0$, for $5 or $10. Broken: $\\frac{1}$',
+  '',
+  '$$',
+  '\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}',
+  '$$'
+].join('\n');
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(text => {
+    // record what the copy buttons put on the clipboard
+    Object.defineProperty(navigator, 'clipboard', { configurable: true, value: { writeText: async t => { window.copied = t; } } });
+    if (localStorage.getItem('chat_index_v1')) return;
+    localStorage.setItem('chat_index_v1', JSON.stringify({
+      conversations: [{ id: 'c1', title: 'Markdown', pinned: false, autoTitle: false, createdAt: 1, updatedAt: 1 }],
+      activeId: 'c1'
+    }));
+    localStorage.setItem('chat_v1:c1', JSON.stringify({
+      schemaVersion: 2,
+      lastSaved: 1,
+      messages: [
+        { id: 'q', text: 'plain **user** text', role: 'user', timestamp: 1, edited: false },
+        { id: 'a', text, role: 'bot', provider: 'gemini', status: 'done', timestamp: 2, edited: false }
+      ]
+    }));
+  }, reply);
+});
+
+test('bot markdown renders safely while user text stays plain', async ({ page }) => {
+  await page.goto('/');
+  const bubble = page.locator('ul#messages li.bot .bubble');
+
+  await expect(bubble.locator('h4')).toHaveText('Plan');
+  await expect(bubble.locator('strong')).toHaveText('bold');
+  await expect(bubble.locator('p > code')).toHaveText('inline code');
+  await expect(bubble.locator('ol li')).toHaveText(['first', 'second']);
+  await expect(bubble.locator('td')).toHaveText(['pear', '2']);
+
+  const docs = bubble.getByRole('link', { name: 'the docs' });
+  await expect(docs).toHaveAttribute('href', 'https://example.com/docs');
+  await expect(docs).toHaveAttribute('target', '_blank');
+  await expect(docs).toHaveAttribute('rel', 'noopener noreferrer');
+
+  // raw html is shown as text and unsafe links are not links
+  await expect(bubble).toContainText('<img src=x onerror="window.pwned = true">');
+  await expect(bubble.locator('img')).toHaveCount(0);
+  await expect(bubble.getByRole('link', { name: 'click' })).toHaveCount(0);
+  expect(await page.evaluate(() => window['pwned'])).toBeUndefined();
+
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText('plain **user** text');
+  await expect(page.locator('ul#messages li.user strong')).toHaveCount(0);
+});
+
+test('code blocks are highlighted and copy their source', async ({ page }) => {
+  await page.goto('/');
+  const block = page.locator('ul#messages li.bot .code-block');
+  await expect(block.locator('.code-lang')).toHaveText('js');
+  await expect(block.locator('.tok-keyword')).toHaveText(['const']);
+  await expect(block.locator('.tok-comment')).toHaveText('// why');
+
+  await block.getByRole('button', { name: 'Copy' }).click();
+  await expect(block.getByRole('button', { name: 'Copied' })).toBeVisible();
+  expect(await page.evaluate(() => window['copied'])).toBe('const answer = 42; // why');
+});
+
+test('math renders as mathml, toggles to its source and falls back when it does not parse', async ({ page }) => {
+  await page.goto('/');
+  const bubble = page.locator('ul#messages li.bot .bubble');
+  const euler = bubble.locator('.math-inline').first();
+  await expect(euler.locator('math mi').first()).toHaveText('e');
+  await expect(euler.locator('.math-source')).toBeHidden();
+  // prices are not math
+  await expect(bubble).toContainText('for $5 or $10.');
+
+  await euler.click();
+  await expect(euler.locator('.math-source')).toHaveText('$e^{i\\pi} + 1 = 0$');
+  await expect(euler.locator('math')).toBeHidden();
+  await euler.press('Enter');
+  await expect(euler.locator('.math-source')).toBeHidden();
+
+  const display = bubble.locator('.math-display');
+  await expect(display.locator('math[display="block"] munderover mo').first()).toHaveText('∑');
+  await expect(display.locator('mfrac')).toHaveCount(1);
+
+  const broken = bubble.locator('.math-error');
+  await expect(broken).toHaveText('$\\frac{1}$');
+  await expect(broken).toHaveAttribute('title', /could not render/);
+});
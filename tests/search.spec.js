@@ -0,0 +1,89 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// searching every conversation from the sidebar
+
+const day = Date.UTC(2026, 4, 1, 12);
+
+// two saved chats; the second one is open
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(chats => {
+    if (localStorage.getItem('chat_index_v1')) return;
+    localStorage.setItem('chat_index_v1', JSON.stringify({
+      conversations: chats.map(c => ({ id: c.id, title: c.title, pinned: false, autoTitle: false, createdAt: 1, updatedAt: 1 })),
+      activeId: 'c2'
+    }));
+    chats.forEach(c => localStorage.setItem(`chat_v1:${c.id}`, JSON.stringify({ schemaVersion: 2, messages: c.messages, lastSaved: 1 })));
+  }, [
+    {
+      id: 'c1',
+      title: 'Packing',
+      messages: [
+        { id: 'a', text: 'Packing list for Lisbon', role: 'user', timestamp: day, edited: false },
+        { id: 'b', text: 'bring the quick brown jacket', role: 'bot', provider: 'gemini', status: 'done', timestamp: day + 1000, edited: false }
+      ]
+    },
+    {
+      id: 'c2',
+      title: 'Flights',
+      messages: [
+        { id: 'c', text: 'flights to lisbon in may', role: 'user', timestamp: day + 86400000, edited: false },
+        { id: 'd', text: 'a brown and quick search found three', role: 'bot', provider: 'claude', status: 'done', timestamp: day + 86401000, edited: false }
+      ]
+    }
+  ]);
+});
+
+test('finds messages in every chat and steps through them with the keyboard', async ({ page }) => {
+  await page.goto('/');
+  const search = page.locator('#search-input');
+  await search.fill('LISBON');
+  const results = page.locator('#search-results li');
+  await expect(results).toHaveCount(2);
+  await expect(page.locator('#search-status')).toHaveText('2 results');
+  await expect(page.locator('#conversation-list')).toBeHidden();
+  await expect(results.locator('mark')).toHaveText(['Lisbon', 'lisbon']);
+
+  // the first hit is in the other chat, which opens with the hit marked
+  await search.press('Enter');
+  await expect(page.locator('#search-status')).toHaveText('1 of 2');
+  await expect(page.locator('ul#messages li.search-hit .bubble')).toHaveText('Packing list for Lisbon');
+  await expect(page.locator('ul#messages li.search-hit mark')).toHaveText('Lisbon');
+  await expect(search).toBeFocused();
+
+  await search.press('ArrowDown');
+  await expect(page.locator('ul#messages li.search-hit .bubble')).toHaveText('flights to lisbon in may');
+  // wraps around
+  await search.press('ArrowDown');
+  await expect(page.locator('#search-status')).toHaveText('1 of 2');
+
+  // escape clears the search and brings the list back
+  await search.press('Escape');
+  await expect(page.locator('#conversation-list')).toBeVisible();
+  await expect(page.locator('ul#messages mark')).toHaveCount(0);
+});
+
+test('quoted phrases and filters narrow the results', async ({ page }) => {
+  await page.goto('/');
+  const search = page.locator('#search-input');
+  const results = page.locator('#search-results li');
+  await search.fill('quick brown');
+  await expect(results).toHaveCount(2);
+  await search.fill('"quick brown"');
+  await expect(results).toHaveCount(1);
+  await expect(results.locator('mark')).toHaveText('quick brown');
+
+  await search.fill('brown');
+  await page.locator('.search-filters summary').click();
+  await page.locator('#search-provider').selectOption('claude');
+  await expect(results.locator('.result-snippet')).toHaveText(['a brown and quick search found three']);
+  await page.locator('#search-role').selectOption('user');
+  await expect(page.locator('#search-status')).toHaveText('no matches');
+
+  // dates are whole days: only the first chat's messages are from may 1st
+  await page.locator('#search-role').selectOption('');
+  await page.locator('#search-provider').selectOption('');
+  await search.fill('');
+  await page.locator('#search-to').fill('2026-05-01');
+  await expect(results.locator('.result-snippet')).toHaveText(['Packing list for Lisbon', 'bring the quick brown jacket']);
+});
@@ -0,0 +1,98 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// per-chat generation settings reach gemini as its own request fields and are recorded on the reply
+
+test('settings pick the gemini model and generationConfig, and the reply records them', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  const requests = [];
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    requests.push({ url: route.request().url(), body: route.request().postDataJSON() });
+    const event = { candidates: [ { content: { parts: [ { text: 'tuned answer' } ] } } ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#settings-btn').click();
+  const dialog = page.locator('#settings-dialog');
+  await dialog.locator('input[name="gemini"]').fill('gemini-2.5-flash');
+  await dialog.locator('#settings-temperature').fill('0.2');
+  await dialog.locator('#settings-max-tokens').fill('256');
+  await dialog.locator('#settings-stop').fill('###\nEND');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(page.locator('#settings-btn')).toHaveClass(/customized/);
+
+  await page.locator('#chat-input').fill('summarize MVC');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot).toContainText('tuned answer');
+
+  expect(requests[0].url).toContain('/models/gemini-2.5-flash:streamGenerateContent');
+  expect(requests[0].body.generationConfig).toEqual({ temperature: 0.2, maxOutputTokens: 256, stopSequences: ['###', 'END'] });
+
+  const model = bot.locator('.meta .model');
+  await expect(model).toHaveText('gemini-2.5-flash');
+  await expect(model).toHaveAttribute('title', 'gemini-2.5-flash · temperature 0.2 · max 256 tokens · stop "###", "END"');
+
+  // settings belong to the chat: a new one starts on the defaults
+  await page.locator('#new-chat-btn').click();
+  await expect(page.locator('#settings-btn')).not.toHaveClass(/customized/);
+  await page.locator('#chat-input').fill('again');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.bot').last()).toContainText('tuned answer');
+  expect(requests[1].url).not.toContain('gemini-2.5-flash');
+  expect(requests[1].body.generationConfig).toBeUndefined();
+});
+
+test('a temperature above 1 is capped for claude, which only accepts 0-1', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  // set while another provider is active, where up to 2 is allowed
+  await page.locator('#settings-btn').click();
+  const dialog = page.locator('#settings-dialog');
+  await expect(dialog.locator('#settings-temperature')).toHaveAttribute('max', '2');
+  await dialog.locator('#settings-temperature').fill('1.5');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(dialog).toBeHidden();
+
+  const bodies = [];
+  await page.route('https://api.anthropic.com/v1/messages', route => {
+    const body = route.request().postDataJSON();
+    bodies.push(body);
+    if (!body.stream) {
+      route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ content: [ { type: 'text', text: 'pong' } ] }) });
+      return;
+    }
+    const event = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'warm answer' } };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `event: content_block_delta\ndata: ${JSON.stringify(event)}\n\n` });
+  });
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-claude-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'claude');
+  await expect(page.locator('#ai-select')).toHaveValue('claude');
+
+  await page.locator('#chat-input').fill('be creative');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot).toContainText('warm answer');
+  expect(bodies.find(b => b.stream).temperature).toBe(1);
+  await expect(bot.locator('.meta .model')).toHaveAttribute('title', /temperature 1$/);
+
+  // with claude active the panel only offers its range
+  await page.locator('#settings-btn').click();
+  await expect(dialog.locator('#settings-temperature')).toHaveAttribute('max', '1');
+});
@@ -0,0 +1,84 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// messages are kept in indexeddb; failed saves are shown instead of swallowed
+
+test('messages are saved to indexeddb and survive a reload', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#chat-input').fill('remember me');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
+  await page.reload();
+  await expect(page.locator('ul#messages li.user .bubble')).toHaveText(['remember me']);
+
+  // only the small conversation index stays in localStorage
+  const keys = await page.evaluate(() => Object.keys(localStorage).filter(k => k.startsWith('chat_v1')));
+  expect(keys).toEqual([]);
+});
+
+test('chats still in localStorage move to indexeddb, messages without an id included', async ({ page }) => {
+  await page.addInitScript(() => {
+    if (localStorage.getItem('chat_index_v1')) return;
+    localStorage.setItem('chat_index_v1', JSON.stringify({
+      conversations: [{ id: 'c1', title: 'Old chat', pinned: false, autoTitle: false, createdAt: 1, updatedAt: 1 }],
+      activeId: 'c1'
+    }));
+    localStorage.setItem('chat_v1:c1', JSON.stringify({
+      schemaVersion: 2,
+      lastSaved: 1,
+      messages: [
+        { id: 'q', text: 'saved with an id', role: 'user', timestamp: 1, edited: false },
+        { text: 'saved without one', role: 'user', timestamp: 2, edited: false }
+      ]
+    }));
+  });
+  await page.goto('/');
+  const bubbles = page.locator('ul#messages li.user .bubble');
+  await expect(bubbles).toHaveText(['saved with an id', 'saved without one']);
+  await expect.poll(() => page.evaluate(() => localStorage.getItem('chat_v1:c1'))).toBeNull();
+
+  await page.reload();
+  await expect(bubbles).toHaveText(['saved with an id', 'saved without one']);
+});
+
+test('a full storage quota is reported to the user', async ({ page }) => {
+  await page.addInitScript(() => {
+    IDBObjectStore.prototype.put = function () {
+      throw new DOMException('quota exceeded', 'QuotaExceededError');
+    };
+  });
+  await page.goto('/');
+
+  const warning = page.locator('#storage-warning');
+  await expect(warning).toBeVisible();
+  await expect(warning).toContainText('storage is full');
+  await expect(page.locator('#last-saved')).toHaveText('Not saved');
+});
+
+test('old exports are upgraded on import and unreadable messages are reported', async ({ page }) => {
+  await page.goto('/');
+  const old = {
+    messages: [
+      { id: 'a', text: 'what is a monad', role: 'user', timestamp: 1, edited: false },
+      { id: 'b', text: '(error: gemini error: 503)', role: 'bot', timestamp: 2, edited: false },
+      { text: 'lost its id', role: 'user', timestamp: 3, edited: false }
+    ]
+  };
+
+  await page.locator('#file-input').setInputFiles({
+    name: 'chat-export.json',
+    mimeType: 'application/json',
+    buffer: Buffer.from(JSON.stringify(old))
+  });
+  // the chat has its greeting, so the import asks whether to merge or replace
+  const dialog = page.waitForEvent('dialog');
+  await page.locator('#merge-dialog').getByRole('button', { name: 'Replace' }).click();
+  const d = await dialog;
+  expect(d.message()).toContain('imported 2 messages');
+  expect(d.message()).toContain('skipped 1 unreadable message (missing id)');
+  await d.accept();
+
+  // the legacy error bubble became a proper error reply
+  await expect(page.locator('ul#messages li.bot.error .bubble')).toHaveText('gemini error: 503');
+});
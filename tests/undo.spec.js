@@ -0,0 +1,123 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// deletes, clears and forks are undoable instead of confirmed
+
+test('a deleted message comes back from the undo toast', async ({ page }) => {
+  await page.goto('/');
+  // no confirm dialogs any more
+  const dialogs = [];
+  page.on('dialog', d => {
+    dialogs.push(d.message());
+    d.dismiss();
+  });
+
+  await page.locator('#chat-input').fill('keep me');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+
+  const user = page.locator('ul#messages li.user');
+  await user.getByRole('button', { name: 'Delete' }).click();
+  await expect(user).toHaveCount(0);
+
+  const toast = page.locator('#toast');
+  await expect(toast).toContainText('Message deleted');
+  await toast.getByRole('button', { name: 'Undo' }).click();
+  await expect(user.locator('.bubble')).toHaveText(['keep me']);
+  expect(dialogs).toEqual([]);
+});
+
+test('ctrl+z and ctrl+shift+z undo and redo a clear', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#chat-input').fill('hello');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  const rows = await page.locator('ul#messages li').count();
+
+  await page.locator('#clear-btn').click();
+  await expect(page.locator('ul#messages li')).toHaveCount(0);
+  await expect(page.locator('#toast')).toContainText('Chat cleared');
+
+  await page.locator('#chat-input').focus();
+  await page.keyboard.press('Control+z');
+  await expect(page.locator('ul#messages li')).toHaveCount(rows);
+
+  await page.keyboard.press('Control+Shift+z');
+  await expect(page.locator('ul#messages li')).toHaveCount(0);
+
+  // with text in the box, ctrl+z is left to the input
+  await page.locator('#chat-input').fill('draft');
+  await page.keyboard.press('Control+z');
+  await expect(page.locator('ul#messages li')).toHaveCount(0);
+});
+
+test('undoing and redoing a fork keeps both branches', async ({ page }) => {
+  await page.goto('/');
+  page.on('dialog', d => (d.type() === 'prompt' ? d.accept('forked question') : d.accept()));
+  await page.locator('#clear-btn').click();
+
+  const send = async text => {
+    await page.locator('#chat-input').fill(text);
+    await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+    await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  };
+  await send('hello');
+  await send('thanks');
+  const first = page.locator('ul#messages li.user').first();
+  await first.getByRole('button', { name: 'Edit' }).click();
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  await expect(page.locator('ul#messages li')).toHaveCount(2);
+
+  // undo takes back the fork, with the old exchange where it was
+  await page.locator('#chat-input').focus();
+  await page.keyboard.press('Control+z');
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+  await expect(first.locator('.bubble')).toHaveText('hello');
+  await expect(first.locator('.version')).toHaveCount(0);
+
+  // redo brings the new branch and its reply back, and the old one is still reachable
+  await page.keyboard.press('Control+Shift+z');
+  await expect(page.locator('ul#messages li')).toHaveCount(2);
+  await expect(first.locator('.bubble')).toContainText('forked question');
+  await expect(first.locator('.version')).toHaveText('2/2');
+
+  await first.getByRole('button', { name: 'previous branch' }).click();
+  await expect(page.locator('ul#messages li')).toHaveCount(4);
+  await expect(first.locator('.bubble')).toHaveText('hello');
+  await expect(page.locator('ul#messages li.user').last().locator('.bubble')).toHaveText('thanks');
+});
+
+test('clearing during a reply and undoing brings the reply back stopped', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  // never answer; clearing stops the reply
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', () => {});
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  await page.locator('#chat-input').fill('a long question');
+  const send = page.locator('#chat-form').getByRole('button', { name: 'Send' });
+  await send.click();
+  await expect(page.locator('ul#messages li.bot.pending')).toHaveCount(1);
+
+  await page.locator('#clear-btn').click();
+  await expect(page.locator('ul#messages li')).toHaveCount(0);
+  await page.locator('#toast').getByRole('button', { name: 'Undo' }).click();
+
+  const bot = page.locator('ul#messages li.bot');
+  await expect(bot).toHaveClass(/cancelled/);
+  await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  await expect(page.locator('#stop-btn')).toBeHidden();
+
+  // the chat is not stuck: a new message can be sent
+  await page.locator('#chat-input').fill('next');
+  await expect(send).toBeEnabled();
+});
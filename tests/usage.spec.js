@@ -0,0 +1,149 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+// token usage reported by providers is kept on replies, totalled in the usage panel and checked against the budget
+
+test('gemini usage is recorded, totalled with prices, and the daily budget asks before sending', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  let requests = 0;
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    requests++;
+    const events = [
+      { candidates: [ { content: { parts: [ { text: 'counted ' } ] } } ], usageMetadata: { promptTokenCount: 200, candidatesTokenCount: 10, totalTokenCount: 210 } },
+      { candidates: [ { content: { parts: [ { text: 'answer' } ] }, finishReason: 'STOP' } ], usageMetadata: { promptTokenCount: 200, candidatesTokenCount: 100, thoughtsTokenCount: 50, totalTokenCount: 350 } }
+    ];
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') });
+  });
+
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+    window.confirms = [];
+    window.confirm = message => {
+      window.confirms.push(message);
+      return false;
+    };
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  // one reply; its tokens come from the last usageMetadata (thinking counts as output)
+  await page.locator('#chat-input').fill('how many tokens?');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  const bot = page.locator('ul#messages li.bot').last();
+  await expect(bot.locator('.bubble')).toHaveText('counted answer');
+  await expect(bot.locator('.meta .usage')).toHaveText('350 tokens');
+  await expect(bot.locator('.meta .usage')).toHaveAttribute('title', '200 in · 150 out');
+
+  // the panel prices the default gemini model: (200 × 1.25 + 150 × 10) / 1M
+  await page.locator('#usage-btn').click();
+  const dialog = page.locator('#usage-dialog');
+  await expect(dialog.locator('#usage-total')).toHaveText('350 tokens over 1 reply, $0.0018 in all.');
+  const byProvider = dialog.locator('.usage-table').nth(1);
+  await expect(byProvider.locator('caption')).toHaveText('By provider');
+  await expect(byProvider.locator('tr').nth(1).locator('th, td')).toHaveText(['gemini', '1', '200', '150', '350', '$0.0018']);
+
+  // a budget already used up asks before the next send, and declining keeps the text
+  await dialog.locator('#usage-budget-tokens').fill('300');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(dialog).toBeHidden();
+
+  await page.locator('#chat-input').fill('one more');
+  await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+  await expect.poll(() => page.evaluate(() => window.confirms.length)).toBe(1);
+  expect(await page.evaluate(() => window.confirms[0])).toContain('daily budget of 300 tokens');
+  await expect(page.locator('#chat-input')).toHaveValue('one more');
+  expect(requests).toBe(1);
+
+  // the budget and prices are kept for next time
+  await page.reload();
+  await page.locator('#usage-btn').click();
+  await expect(page.locator('#usage-budget-tokens')).toHaveValue('300');
+  await expect(page.locator('#usage-prices')).toHaveValue(/gemini-2\.5-flash 0\.3 2\.5/);
+});
+
+test('local models without a price neither count toward the budget nor ask', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('http://localhost:11434/v1/models', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ object: 'list', data: [ { id: 'qwen2.5:7b' } ] }) });
+  });
+  let requests = 0;
+  await page.route('http://localhost:11434/v1/chat/completions', route => {
+    requests++;
+    const events = [
+      { choices: [ { delta: { content: 'free answer' } } ] },
+      { choices: [], usage: { prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 } }
+    ];
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n' });
+  });
+  await page.evaluate(() => {
+    window.alert = () => {};
+    window.confirms = [];
+    window.confirm = message => {
+      window.confirms.push(message);
+      return false;
+    };
+  });
+
+  await page.locator('#usage-btn').click();
+  const dialog = page.locator('#usage-dialog');
+  await dialog.locator('#usage-budget-tokens').fill('100');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(dialog).toBeHidden();
+
+  await page.selectOption('#ai-select', 'ollama');
+  await expect(page.locator('#model-select')).toHaveValue('qwen2.5:7b');
+  for (const text of ['first', 'second']) {
+    await page.locator('#chat-input').fill(text);
+    await page.locator('#chat-form').getByRole('button', { name: 'Send' }).click();
+    await expect(page.locator('ul#messages li.pending')).toHaveCount(0);
+  }
+  await expect(page.locator('ul#messages li.bot .meta .usage')).toHaveText(['500 tokens', '500 tokens']);
+  expect(requests).toBe(2);
+  expect(await page.evaluate(() => window.confirms)).toEqual([]);
+});
+
+test('a second submit while the budget is checked does not send twice', async ({ page }) => {
+  await page.goto('/');
+  await page.locator('#clear-btn').click();
+
+  await page.route('**/v1beta/models/*:generateContent?**', route => {
+    route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+  });
+  let requests = 0;
+  await page.route('**/v1beta/models/*:streamGenerateContent?**', route => {
+    requests++;
+    const event = { candidates: [ { content: { parts: [ { text: 'only once' } ] }, finishReason: 'STOP' } ] };
+    route.fulfill({ status: 200, contentType: 'text/event-stream', body: `data: ${JSON.stringify(event)}\n\n` });
+  });
+  await page.evaluate(() => {
+    window.prompt = () => 'fake-gemini-key';
+    window.alert = () => {};
+  });
+  await page.selectOption('#ai-select', 'gemini');
+  await expect(page.locator('#ai-select')).toHaveValue('gemini');
+
+  // a budget far from used up still has to be checked before each send
+  await page.locator('#usage-btn').click();
+  const dialog = page.locator('#usage-dialog');
+  await dialog.locator('#usage-budget-tokens').fill('1000000');
+  await dialog.getByRole('button', { name: 'Save' }).click();
+  await expect(dialog).toBeHidden();
+
+  await page.locator('#chat-input').fill('just one');
+  await page.evaluate(() => {
+    const form = document.querySelector('#chat-form');
+    form.requestSubmit();
+    form.requestSubmit();
+  });
+  await expect(page.locator('ul#messages li.bot .bubble')).toHaveText(['only once']);
+  await expect(page.locator('ul#messages li.user')).toHaveCount(1);
+  expect(requests).toBe(1);
+});